@@ -0,0 +1,115 @@
+// Text anchors for annotations, modelled on the W3C Web Annotation selectors
+// (https://www.w3.org/TR/annotation-model/#selectors). The extension resolves
+// these against the live page; the server only validates and stores them.
+
+const MAX_QUOTE_LENGTH = 2000;
+const MAX_CONTEXT_LENGTH = 256;
+const MAX_SELECTOR_VALUE_LENGTH = 1000;
+const RANGE_ENDPOINT_TYPES = ['CssSelector', 'XPathSelector'];
+
+function isString(value, maxLength) {
+  return typeof value === 'string' && value.length <= maxLength;
+}
+
+function isOffset(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function parseValueSelector(selector) {
+  if (!isString(selector.value, MAX_SELECTOR_VALUE_LENGTH) || !selector.value.trim()) {
+    return { error: `${selector.type} requires a non-empty value of at most ${MAX_SELECTOR_VALUE_LENGTH} characters` };
+  }
+  return { selector: { type: selector.type, value: selector.value } };
+}
+
+function parseSelector(selector) {
+  if (!selector || typeof selector !== 'object') {
+    return { error: 'Each selector must be an object' };
+  }
+
+  switch (selector.type) {
+    case 'TextQuoteSelector': {
+      const { exact, prefix = '', suffix = '' } = selector;
+      if (!isString(exact, MAX_QUOTE_LENGTH) || !exact.trim()) {
+        return { error: `TextQuoteSelector.exact must be a non-empty string of at most ${MAX_QUOTE_LENGTH} characters` };
+      }
+      if (!isString(prefix, MAX_CONTEXT_LENGTH) || !isString(suffix, MAX_CONTEXT_LENGTH)) {
+        return { error: `TextQuoteSelector.prefix and suffix must be strings of at most ${MAX_CONTEXT_LENGTH} characters` };
+      }
+      return { selector: { type: 'TextQuoteSelector', exact, prefix, suffix } };
+    }
+
+    case 'TextPositionSelector': {
+      const { start, end } = selector;
+      if (!isOffset(start) || !isOffset(end) || end < start) {
+        return { error: 'TextPositionSelector requires integer start and end with 0 <= start <= end' };
+      }
+      return { selector: { type: 'TextPositionSelector', start, end } };
+    }
+
+    case 'CssSelector':
+    case 'XPathSelector':
+      return parseValueSelector(selector);
+
+    case 'RangeSelector': {
+      const endpoints = {};
+      for (const key of ['startSelector', 'endSelector']) {
+        const endpoint = selector[key];
+        if (!endpoint || !RANGE_ENDPOINT_TYPES.includes(endpoint.type)) {
+          return { error: `RangeSelector.${key} must be a ${RANGE_ENDPOINT_TYPES.join(' or ')}` };
+        }
+        const parsed = parseValueSelector(endpoint);
+        if (parsed.error) return parsed;
+        endpoints[key] = parsed.selector;
+      }
+      return { selector: { type: 'RangeSelector', ...endpoints } };
+    }
+
+    default:
+      return { error: `Unsupported selector type: ${selector.type}` };
+  }
+}
+
+// Validate a client-supplied target and return a normalized copy.
+// Accepts { selector: {...} } or { selector: [...] }; returns { target } or { error }.
+function parseTarget(input, url) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Target must be an object with a selector' };
+  }
+
+  const rawSelectors = Array.isArray(input.selector) ? input.selector : [input.selector];
+  if (!rawSelectors.length || !input.selector) {
+    return { error: 'Target must include at least one selector' };
+  }
+
+  const selectors = [];
+  for (const rawSelector of rawSelectors) {
+    const { selector, error } = parseSelector(rawSelector);
+    if (error) return { error };
+    selectors.push(selector);
+  }
+
+  if (!selectors.some(selector => selector.type === 'TextQuoteSelector')) {
+    return { error: 'Target must include a TextQuoteSelector so the passage can be re-anchored' };
+  }
+
+  return { target: { source: url, selector: selectors } };
+}
+
+// The quoted passage, stored top-level on the comment so it can be queried
+function getQuote(target) {
+  const quoteSelector = target && target.selector.find(selector => selector.type === 'TextQuoteSelector');
+  return quoteSelector ? quoteSelector.exact : null;
+}
+
+// The shape of a target as request schemas describe it; parseTarget checks the selectors
+const TARGET_SCHEMA = {
+  type: 'object',
+  description: 'W3C Web Annotation target; must include a TextQuoteSelector',
+  required: ['selector'],
+  properties: {
+    selector: { anyOf: [{ type: 'object' }, { type: 'array', minItems: 1, items: { type: 'object' } }] }
+  }
+};
+
+module.exports = { parseTarget, getQuote, TARGET_SCHEMA, MAX_QUOTE_LENGTH };
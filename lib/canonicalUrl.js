@@ -0,0 +1,124 @@
+// URL canonicalization, so every variant of a page maps onto the same comment thread.
+// https://www.YouTube.com/watch?v=x&utm_source=a#t=1, youtube.com/watch?v=x and
+// http://m.youtube.com/watch/?v=x all become https://youtube.com/watch?v=x
+
+// Query parameters that never identify content
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'ttclid', 'li_fat_id',
+  'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'oly_anon_id', 'oly_enc_id',
+  'vero_id', 'ref_src', 'ref_url', 'spm'
+]);
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'hsa_', 'itm_'];
+
+// Per-domain rules, keyed by canonical host (lower case, no www):
+//   keepParams - whitelist of query parameters that identify the page; everything else is dropped
+//   aliases    - other hosts serving the same content
+//   rewrite    - (url: URL) => URL for short links and the like
+const DOMAIN_RULES = {
+  'youtube.com': {
+    keepParams: ['v', 'list'],
+    aliases: ['m.youtube.com', 'music.youtube.com'],
+    rewrite(url) {
+      // /shorts/<id> and /embed/<id> are the same video as /watch?v=<id>
+      const match = url.pathname.match(/^\/(shorts|embed|live)\/([\w-]+)/);
+      if (match) {
+        url.pathname = '/watch';
+        url.searchParams.set('v', match[2]);
+      }
+      return url;
+    }
+  },
+  'youtu.be': {
+    rewrite(url) {
+      const videoId = url.pathname.slice(1);
+      const rewritten = new URL('https://youtube.com/watch');
+      if (videoId) rewritten.searchParams.set('v', videoId);
+      return rewritten;
+    }
+  },
+  'google.com': { keepParams: ['q'] },
+  'bing.com': { keepParams: ['q'] },
+  'duckduckgo.com': { keepParams: ['q'] },
+  'news.ycombinator.com': { keepParams: ['id', 'p'] },
+  'reddit.com': { keepParams: [], aliases: ['old.reddit.com', 'new.reddit.com', 'm.reddit.com'] },
+  'twitter.com': { keepParams: [], aliases: ['mobile.twitter.com', 'x.com', 'mobile.x.com'] },
+  'medium.com': { keepParams: [] },
+  'amazon.com': { keepParams: [] },
+  'github.com': { keepParams: ['q', 'tab'] }
+};
+
+const HOST_ALIASES = new Map();
+for (const [host, rule] of Object.entries(DOMAIN_RULES)) {
+  for (const alias of rule.aliases || []) {
+    HOST_ALIASES.set(alias, host);
+  }
+}
+
+function isTrackingParam(key) {
+  const lowerKey = key.toLowerCase();
+  return TRACKING_PARAMS.has(lowerKey) || TRACKING_PREFIXES.some(prefix => lowerKey.startsWith(prefix));
+}
+
+function canonicalHost(hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, '').replace(/^www\d*\./, '');
+  return HOST_ALIASES.get(host) || host;
+}
+
+function parse(input) {
+  const trimmed = String(input).trim();
+  // Bare hosts like "youtube.com/watch?v=x" are treated as https
+  const withScheme = /^[a-z][a-z0-9+.-]*:/i.test(trimmed) && !/^[^/:]+\.[^/:]+:\d+/.test(trimmed)
+    ? trimmed
+    : `https://${trimmed.replace(/^\/\//, '')}`;
+  try {
+    return new URL(withScheme);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Returns the canonical form of a page URL. Anything that is not an http(s) URL
+// (about:blank, chrome:// pages, garbage) is returned trimmed but otherwise untouched.
+function canonicalizeUrl(input) {
+  if (typeof input !== 'string' || !input.trim()) return input;
+
+  let url = parse(input);
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    return input.trim();
+  }
+
+  // http and https serve the same page as far as discussions are concerned
+  const port = ['80', '443'].includes(url.port) ? '' : url.port;
+  url.protocol = 'https:';
+  url.hostname = canonicalHost(url.hostname);
+  url.port = port;
+  url.hash = '';
+  url.username = '';
+  url.password = '';
+
+  let rule = DOMAIN_RULES[url.hostname];
+  if (rule && rule.rewrite) {
+    url = rule.rewrite(url);
+    rule = DOMAIN_RULES[url.hostname];
+  }
+
+  const params = Array.from(url.searchParams)
+    .filter(([key]) => (rule && rule.keepParams ? rule.keepParams.includes(key) : !isTrackingParam(key)))
+    .sort(([a, aValue], [b, bValue]) => (a === b ? aValue.localeCompare(bValue) : a < b ? -1 : 1));
+
+  const query = new URLSearchParams(params).toString();
+  const path = url.pathname.replace(/\/+$/, '');
+
+  return `https://${url.host}${path}${query ? `?${query}` : ''}`;
+}
+
+// Whether a canonical page URL is the page at prefix or beneath it. Whole path segments
+// must match: https://a.com/doc covers https://a.com/doc/intro and https://a.com/doc?page=2,
+// but not https://a.com/doc-other or https://a.com.evil.
+function isUnderUrl(url, prefix) {
+  if (url === prefix) return true;
+  if (prefix.includes('?')) return false;
+  return url.startsWith(`${prefix}/`) || url.startsWith(`${prefix}?`);
+}
+
+module.exports = { canonicalizeUrl, isUnderUrl, DOMAIN_RULES, TRACKING_PARAMS };
@@ -0,0 +1,97 @@
+// Deleting comments without breaking other people's threads.
+//
+// A comment that still has replies becomes a tombstone: it keeps its id, url,
+// parentId, threadId, timestamp and anchor so the thread stays in place, but loses its
+// author and body. A comment nothing depends on is removed outright, and that
+// removal cascades up through tombstones that are left without replies.
+
+const { rankFields } = require('./ranking');
+const { commentChanged } = require('./pageStats');
+
+const TOMBSTONE_TEXT = '[deleted]';
+
+function tombstoneFields(comment, now = new Date()) {
+  return {
+    deleted: true,
+    deletedAt: now,
+    text: TOMBSTONE_TEXT,
+    rawText: TOMBSTONE_TEXT,
+    authorId: null,
+    authorName: null,
+    upvotes: 0,
+    downvotes: 0,
+    reactionCounts: {},
+    ...rankFields(0, 0, comment.timestamp)
+  };
+}
+
+// The author's karma loses whatever score the comment had collected
+async function removeKarma(db, comment) {
+  const score = (comment.upvotes || 0) - (comment.downvotes || 0);
+  if (comment.authorId && score && await db.users.findById(comment.authorId)) {
+    await db.users.update(comment.authorId, { karma: db.store.increment(-score) });
+  }
+}
+
+async function hardDelete(db, comment) {
+  const commentId = comment.id;
+  await removeKarma(db, comment);
+  await commentChanged(db, comment, null);
+  await db.comments.delete(commentId);
+  await db.votes.deleteForComment(commentId);
+  await db.reactions.deleteForComment(commentId);
+  await db.revisions.deleteForComment(commentId);
+  await db.searchIndex.removeComment(commentId);
+}
+
+// Remove tombstones that no longer have any replies, walking up from parentId
+async function pruneTombstones(db, parentId, purgedIds) {
+  let currentId = parentId;
+  while (currentId) {
+    const parent = await db.comments.findById(currentId);
+    if (!parent || !parent.deleted || await db.comments.hasReplies(currentId)) return;
+
+    await hardDelete(db, parent);
+    purgedIds.push(currentId);
+    currentId = parent.parentId;
+  }
+}
+
+// Delete a comment on behalf of its author. Resolves with { tombstoned, purgedIds }.
+async function deleteComment(db, comment) {
+  if (await db.comments.hasReplies(comment.id)) {
+    const tombstone = { ...tombstoneFields(comment), revisionCount: 0 };
+    await removeKarma(db, comment);
+    await commentChanged(db, comment, { ...comment, ...tombstone });
+    await db.comments.update(comment.id, tombstone);
+    // Votes, reactions, earlier revisions and search postings of the removed content must go with it
+    await db.votes.deleteForComment(comment.id);
+    await db.reactions.deleteForComment(comment.id);
+    await db.revisions.deleteForComment(comment.id);
+    await db.searchIndex.removeComment(comment.id);
+    return { tombstoned: true, purgedIds: [] };
+  }
+
+  const purgedIds = [comment.id];
+  await hardDelete(db, comment);
+  await pruneTombstones(db, comment.parentId, purgedIds);
+  return { tombstoned: false, purgedIds };
+}
+
+// Remove a comment and every reply beneath it. Resolves with the ids removed, root first.
+async function purgeThread(db, comment) {
+  const purgedIds = [];
+  const queue = [comment];
+
+  while (queue.length) {
+    const current = queue.shift();
+    queue.push(...await db.comments.findReplies(current.id));
+    await hardDelete(db, current);
+    purgedIds.push(current.id);
+  }
+
+  await pruneTombstones(db, comment.parentId, purgedIds);
+  return purgedIds;
+}
+
+module.exports = { TOMBSTONE_TEXT, tombstoneFields, deleteComment, purgeThread };
@@ -0,0 +1,63 @@
+// Opaque pagination cursors. A cursor holds the sort key values of the last item
+// on a page (base64url-encoded JSON) plus a scope, so a cursor issued for one
+// listing or sort order is rejected by another instead of returning the wrong page.
+const { DOCUMENT_ID } = require('../storage');
+
+function encodeValue(value) {
+  return value instanceof Date ? { d: value.toISOString() } : value;
+}
+
+function decodeValue(value) {
+  if (value && typeof value === 'object') {
+    const date = new Date(value.d);
+    return typeof value.d === 'string' && !isNaN(date) ? date : undefined;
+  }
+  return value;
+}
+
+// The values a query's startAfter needs to continue after this document
+function cursorValues(doc, orderBy) {
+  return orderBy.map(([field]) => (field === DOCUMENT_ID ? doc.id : doc[field]));
+}
+
+function encode(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// The payload of a cursor issued for this scope, or null
+function decode(cursor, scope) {
+  if (typeof cursor !== 'string') return null;
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return payload && payload.s === scope ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function encodeCursor(doc, orderBy, scope) {
+  return encode({ s: scope, v: cursorValues(doc, orderBy).map(encodeValue) });
+}
+
+// Returns the startAfter values, or null if the cursor is malformed or from another listing
+function decodeCursor(cursor, orderBy, scope) {
+  const payload = decode(cursor, scope);
+  if (!payload || !Array.isArray(payload.v) || payload.v.length !== orderBy.length) return null;
+  const values = payload.v.map(decodeValue);
+  return values.includes(undefined) ? null : values;
+}
+
+// Listings ranked in memory (search results) page by position instead of sort keys.
+// ref names where the ranked listing was kept, so later pages needn't rank it again.
+function encodeOffsetCursor(offset, scope, ref = null) {
+  return encode({ s: scope, o: offset, r: ref });
+}
+
+// Returns { offset, ref }, or null if the cursor is malformed or from another listing
+function decodeOffsetCursor(cursor, scope) {
+  const payload = decode(cursor, scope);
+  if (!payload || !Number.isInteger(payload.o) || payload.o < 0) return null;
+  return { offset: payload.o, ref: typeof payload.r === 'string' ? payload.r : null };
+}
+
+module.exports = { encodeCursor, decodeCursor, encodeOffsetCursor, decodeOffsetCursor };
@@ -0,0 +1,56 @@
+// Word-level diff between two texts, used to compare comment revisions.
+// Produces [{ type: 'equal' | 'insert' | 'delete', value }] with adjacent runs merged.
+
+// LCS is quadratic, so very long texts fall back to a whole-text replacement
+const MAX_TOKENS = 2000;
+
+function tokenize(text) {
+  return (text || '').split(/(\s+)/).filter(token => token !== '');
+}
+
+function pushChange(changes, type, value) {
+  const last = changes[changes.length - 1];
+  if (last && last.type === type) last.value += value;
+  else changes.push({ type, value });
+}
+
+function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  if (a.length * b.length > MAX_TOKENS * MAX_TOKENS) {
+    const changes = [];
+    if (before) changes.push({ type: 'delete', value: before });
+    if (after) changes.push({ type: 'insert', value: after });
+    return changes;
+  }
+
+  // lengths[i][j] = LCS length of a[i:] and b[j:]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pushChange(changes, 'equal', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      pushChange(changes, 'delete', a[i++]);
+    } else {
+      pushChange(changes, 'insert', b[j++]);
+    }
+  }
+  while (i < a.length) pushChange(changes, 'delete', a[i++]);
+  while (j < b.length) pushChange(changes, 'insert', b[j++]);
+
+  return changes;
+}
+
+module.exports = { diffWords };
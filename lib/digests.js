@@ -0,0 +1,45 @@
+// Daily and weekly email digests of unread notifications.
+// Users opt in with emailDigest ('off', 'daily' or 'weekly') and must have a
+// verified email address. sendDigests runs every hour; each user is claimed
+// in a transaction first, so overlapping runs never send a digest twice.
+
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+const DIGEST_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_DIGEST_ITEMS = 50;
+
+const PERIOD_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// Queue a digest for every user who is due one. Resolves with the number queued.
+async function sendDigests({ db, mailer, appUrl, now = new Date() }) {
+  let sent = 0;
+
+  for (const period of Object.keys(PERIOD_MS)) {
+    const users = await db.users.findByDigestFrequency(period);
+
+    for (const user of users) {
+      if (!user.emailVerified) continue;
+
+      // A digest due within the next check goes out now rather than an hour late
+      const since = await db.users.claimDigest(user.id, now, PERIOD_MS[period] - DIGEST_CHECK_INTERVAL_MS);
+      if (!since) continue;
+
+      const notifications = await db.notifications.listUnreadSince(user.id, since, MAX_DIGEST_ITEMS);
+      if (!notifications.length) continue;
+
+      await mailer.send(user.email, 'digest', {
+        name: user.displayName || user.fullname || user.username,
+        period,
+        notifications,
+        settingsUrl: `${appUrl}/settings`
+      });
+      sent++;
+    }
+  }
+
+  return sent;
+}
+
+module.exports = { DIGEST_FREQUENCIES, DIGEST_CHECK_INTERVAL_MS, PERIOD_MS, sendDigests };
@@ -0,0 +1,103 @@
+// Email templates. Every template renders to { subject, html, text }; the HTML
+// is wrapped in a shared layout and every interpolated value is escaped.
+
+const PRODUCT_NAME = 'Web Annotator';
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;padding:24px;background:#f4f4f5;font-family:Helvetica,Arial,sans-serif;color:#18181b;">
+  <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+    ${body}
+    <p style="margin-top:32px;font-size:12px;color:#71717a;">${PRODUCT_NAME}</p>
+  </div>
+</body>
+</html>`;
+}
+
+function button(href, label) {
+  return `<p><a href="${escapeHtml(href)}" style="display:inline-block;padding:10px 18px;background:#2563eb;color:#ffffff;border-radius:6px;text-decoration:none;">${escapeHtml(label)}</a></p>`;
+}
+
+const TEMPLATES = {
+  // { name, resetUrl, expiresMinutes }
+  passwordReset: ({ name, resetUrl, expiresMinutes }) => ({
+    subject: `Reset your ${PRODUCT_NAME} password`,
+    html: layout('Reset your password', `
+    <h1 style="font-size:20px;">Reset your password</h1>
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>Someone asked to reset the password for your account. If that was you, use the link below within ${escapeHtml(expiresMinutes)} minutes.</p>
+    ${button(resetUrl, 'Choose a new password')}
+    <p style="font-size:13px;color:#52525b;">If you didn't ask for this, you can ignore this email; your password won't change.</p>`),
+    text: `Hi ${name},
+
+Someone asked to reset the password for your account. If that was you, open this link within ${expiresMinutes} minutes:
+
+${resetUrl}
+
+If you didn't ask for this, you can ignore this email; your password won't change.
+`
+  }),
+
+  // { name, verifyUrl }
+  verifyEmail: ({ name, verifyUrl }) => ({
+    subject: `Confirm your email for ${PRODUCT_NAME}`,
+    html: layout('Confirm your email', `
+    <h1 style="font-size:20px;">Confirm your email</h1>
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>Thanks for signing up. Please confirm this is your email address.</p>
+    ${button(verifyUrl, 'Confirm email')}`),
+    text: `Hi ${name},
+
+Thanks for signing up. Please confirm this is your email address:
+
+${verifyUrl}
+`
+  }),
+
+  // { name, period: 'daily' | 'weekly', notifications: [{ message, url, timestamp }], settingsUrl }
+  digest: ({ name, period, notifications, settingsUrl }) => {
+    const label = period === 'weekly' ? 'weekly' : 'daily';
+    const count = notifications.length;
+    const items = notifications.map(notification => `
+      <li style="margin-bottom:12px;">${escapeHtml(notification.message)}<br>
+        <a href="${escapeHtml(notification.url)}" style="font-size:13px;color:#2563eb;">${escapeHtml(notification.url)}</a></li>`).join('');
+
+    return {
+      subject: `Your ${label} digest: ${count} unread notification${count === 1 ? '' : 's'}`,
+      html: layout(`Your ${label} digest`, `
+    <h1 style="font-size:20px;">Your ${label} digest</h1>
+    <p>Hi ${escapeHtml(name)}, here's what you missed:</p>
+    <ul style="padding-left:20px;">${items}
+    </ul>
+    <p style="font-size:13px;color:#52525b;">You get this email because digests are set to ${label}. <a href="${escapeHtml(settingsUrl)}">Change email settings</a>.</p>`),
+      text: `Hi ${name}, here's what you missed:
+
+${notifications.map(notification => `- ${notification.message}\n  ${notification.url}`).join('\n')}
+
+You get this email because digests are set to ${label}. Change email settings: ${settingsUrl}
+`
+    };
+  }
+};
+
+// Render a named template; throws on an unknown name so typos fail loudly
+function renderEmail(name, data) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  return template(data);
+}
+
+module.exports = { renderEmail, TEMPLATE_NAMES: Object.keys(TEMPLATES) };
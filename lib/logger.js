@@ -0,0 +1,132 @@
+// Structured logging: one JSON object per line, e.g.
+//   {"time":"2024-05-01T12:00:00.000Z","level":"info","msg":"Comment created","requestId":"…","commentId":"…"}
+// info and debug go to stdout, warn and error to stderr. LOG_LEVEL (debug, info, warn or
+// error; info by default) sets the lowest level written.
+//
+// Entries written while handling a request carry its requestId (see requestLogging()),
+// however deep in the call stack they're logged.
+//
+// Secrets and personal data are redacted before anything is written: fields named like
+// passwords, tokens, secrets or keys, comment and email bodies, and tokens, JWTs and
+// email addresses inside strings.
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 5;
+const MAX_REQUEST_ID_LENGTH = 128;
+
+// Field names whose values are never written
+const SECRET_FIELDS = /pass(word)?|secret|token|authorization|cookie|api_?key|^(text|rawText|html|body)$/i;
+const EMAIL_FIELDS = /^(email|to)$/i;
+
+const STRING_PATTERNS = [
+  // ?token=… and friends in URLs (email addresses there are URL-encoded)
+  [/([?&](?:token|code|secret|key|signature|email)=)[^&\s"']+/gi, `$1${REDACTED}`],
+  [/\b(Bearer|Basic)\s+[\w.~+/-]+=*/gi, `$1 ${REDACTED}`],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED],
+  [/[\w.+-]+@([\w-]+\.)+[\w-]+/g, (email) => maskEmail(email)]
+];
+
+const context = new AsyncLocalStorage();
+
+// alice@example.com -> a***@example.com
+function maskEmail(email) {
+  const at = email.lastIndexOf('@');
+  if (at < 1) return REDACTED;
+  return `${email[0]}***${email.slice(at)}`;
+}
+
+function redactString(value) {
+  return STRING_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), value);
+}
+
+// A copy of a value that is safe to write to the logs
+function redact(value, key = '', depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (key && SECRET_FIELDS.test(key)) return REDACTED;
+  if (typeof value === 'string') {
+    return key && EMAIL_FIELDS.test(key) ? maskEmail(value) : redactString(value);
+  }
+  if (typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Error) {
+    return redact({ name: value.name, message: value.message, code: value.code, stack: value.stack }, key, depth);
+  }
+  if (depth >= MAX_DEPTH) return '[Object]';
+  if (Array.isArray(value)) return value.map(item => redact(item, '', depth + 1));
+
+  const result = {};
+  for (const [name, nested] of Object.entries(value)) {
+    if (nested !== undefined) result[name] = redact(nested, name, depth + 1);
+  }
+  return result;
+}
+
+function defaultWrite(level, line) {
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+// createLogger({ level, fields, write }) - fields are added to every entry; write(level, line) outputs it
+function createLogger({ level = process.env.LOG_LEVEL || 'info', fields = {}, write = defaultWrite } = {}) {
+  if (!LEVELS[level]) {
+    throw new Error(`Unknown LOG_LEVEL "${level}". Expected one of: ${Object.keys(LEVELS).join(', ')}`);
+  }
+
+  // log(level, message, fields) - an Error in place of fields is logged as { error }
+  function log(entryLevel, message, entryFields = {}) {
+    if (LEVELS[entryLevel] < LEVELS[level]) return;
+    const extra = entryFields instanceof Error ? { error: entryFields } : entryFields;
+    const entry = redact({
+      time: new Date(),
+      level: entryLevel,
+      msg: message,
+      ...context.getStore(),
+      ...fields,
+      ...extra
+    });
+    write(entryLevel, JSON.stringify(entry));
+  }
+
+  return {
+    level,
+    debug: (message, entryFields) => log('debug', message, entryFields),
+    info: (message, entryFields) => log('info', message, entryFields),
+    warn: (message, entryFields) => log('warn', message, entryFields),
+    error: (message, entryFields) => log('error', message, entryFields),
+    child: (childFields) => createLogger({ level, fields: { ...fields, ...childFields }, write })
+  };
+}
+
+const logger = createLogger();
+
+// Middleware giving every request an id (the caller's X-Request-Id when it sends a sane
+// one), echoing it back and logging the request once the response is sent. Health checks
+// and metrics scrapes are logged at debug level so they don't drown out everything else.
+function requestLogging({ quietPaths = [] } = {}) {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && incoming.length <= MAX_REQUEST_ID_LENGTH && /^[\w.:-]+$/.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      const level = quietPaths.includes(req.path) ? 'debug' : (res.statusCode >= 500 ? 'error' : 'info');
+      logger[level]('Request completed', {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10,
+        userId: req.user ? req.user.id : undefined
+      });
+    });
+
+    context.run({ requestId: req.id }, next);
+  };
+}
+
+module.exports = { logger, createLogger, redact, requestLogging, LEVELS };
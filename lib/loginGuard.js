@@ -0,0 +1,57 @@
+// Progressive lockout after failed logins, per account and per IP.
+//
+// Failures are counted for FAILURE_WINDOW_MS. Once a scope reaches its threshold,
+// every further failure locks it for twice as long as the last time: 1, 2, 4 ...
+// minutes, up to MAX_LOCK_MS. A successful login clears the account's failures
+// (the IP's keep counting, so one good account can't launder guesses at others).
+// Counters live in the limit store (see lib/rateLimit.js).
+
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const BASE_LOCK_MS = 60 * 1000;
+const MAX_LOCK_MS = 60 * 60 * 1000;
+
+const THRESHOLDS = {
+  account: parseInt(process.env.LOGIN_LOCKOUT_ACCOUNT_THRESHOLD || '5', 10),
+  ip: parseInt(process.env.LOGIN_LOCKOUT_IP_THRESHOLD || '20', 10)
+};
+
+function lockDuration(failures, threshold) {
+  return Math.min(BASE_LOCK_MS * 2 ** (failures - threshold), MAX_LOCK_MS);
+}
+
+function createLoginGuard({ limitStore }) {
+  // Unknown emails are tracked too, so lockouts don't reveal which accounts exist
+  const scopes = (email, ip) => [
+    ['account', String(email).trim().toLowerCase()],
+    ['ip', ip]
+  ];
+
+  return {
+    // Resolves with { locked: false } or { locked: true, retryAfter } (seconds)
+    async check(email, ip) {
+      const locks = await Promise.all(scopes(email, ip).map(([scope, id]) => limitStore.get(`login:lock:${scope}:${id}`)));
+      const until = Math.max(0, ...locks.filter(Boolean).map(lock => lock.resetAt.getTime()));
+      if (until <= Date.now()) return { locked: false };
+      return { locked: true, retryAfter: Math.ceil((until - Date.now()) / 1000) };
+    },
+
+    async recordFailure(email, ip) {
+      await Promise.all(scopes(email, ip).map(async ([scope, id]) => {
+        const { count } = await limitStore.hit(`login:fail:${scope}:${id}`, FAILURE_WINDOW_MS);
+        if (count >= THRESHOLDS[scope]) {
+          await limitStore.hit(`login:lock:${scope}:${id}`, lockDuration(count, THRESHOLDS[scope]));
+        }
+      }));
+    },
+
+    async recordSuccess(email) {
+      const [[scope, id]] = scopes(email, null);
+      await Promise.all([
+        limitStore.reset(`login:fail:${scope}:${id}`),
+        limitStore.reset(`login:lock:${scope}:${id}`)
+      ]);
+    }
+  };
+}
+
+module.exports = { createLoginGuard };
@@ -0,0 +1,167 @@
+// Outbound email. Messages are rendered from lib/emailTemplates.js, stored in the
+// emailQueue collection and sent by a background worker that retries failures
+// with exponential backoff, so a flaky mail server never fails an API request.
+//
+// EMAIL_TRANSPORT selects where mail goes:
+//   smtp    - SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS (default when SMTP_HOST is set)
+//   file    - one .eml file per message in EMAIL_OUTPUT_DIR (defaults to ./emails)
+//   console - logged to stdout with tokens in links redacted (default otherwise); use file
+//             to read complete messages during development
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { renderEmail } = require('./emailTemplates');
+const { logger } = require('./logger');
+
+const TRANSPORTS = ['smtp', 'file', 'console'];
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000; // 1, 2, 4, 8 minutes between attempts
+const SEND_LEASE_MS = 2 * 60 * 1000;
+const POLL_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 20;
+
+function createTransport(env) {
+  const name = env.EMAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'console');
+
+  switch (name) {
+    case 'smtp': {
+      const port = parseInt(env.SMTP_PORT || '587', 10);
+      const transport = nodemailer.createTransport({
+        host: env.SMTP_HOST || 'localhost',
+        port,
+        secure: port === 465,
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+      });
+      return { name, send: (message) => transport.sendMail(message) };
+    }
+    case 'file': {
+      const outputDir = path.resolve(env.EMAIL_OUTPUT_DIR || path.join(__dirname, '..', 'emails'));
+      const transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+      return {
+        name,
+        async send(message) {
+          const info = await transport.sendMail(message);
+          await fs.promises.mkdir(outputDir, { recursive: true });
+          const file = path.join(outputDir, `${Date.now()}-${message.queueId}.eml`);
+          await fs.promises.writeFile(file, info.message);
+          return info;
+        }
+      };
+    }
+    case 'console': {
+      const transport = nodemailer.createTransport({ jsonTransport: true });
+      return {
+        name,
+        async send(message) {
+          const info = await transport.sendMail(message);
+          logger.info('Email sent to console', { to: message.to, subject: message.subject, preview: message.text });
+          return info;
+        }
+      };
+    }
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${name}". Expected one of: ${TRANSPORTS.join(', ')}`);
+  }
+}
+
+function createMailer({ db, env = process.env }) {
+  const transport = createTransport(env);
+  const from = env.EMAIL_FROM || 'Web Annotator <no-reply@localhost>';
+  let timer = null;
+  let running = null;
+  let rerun = false;
+
+  // Try one queued message; on failure schedule the next attempt or give up
+  async function deliver(queued, now) {
+    const message = await db.emailQueue.claim(queued.id, now, SEND_LEASE_MS);
+    if (!message) return;
+
+    try {
+      await transport.send({
+        queueId: message.id,
+        from,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text
+      });
+      // The body can hold one-time links, so only the envelope is kept once sent
+      await db.emailQueue.update(message.id, { status: 'sent', sentAt: new Date(), html: null, text: null, lastError: null });
+    } catch (error) {
+      const failed = message.attempts >= MAX_ATTEMPTS;
+      logger.error('Error sending email', { emailId: message.id, template: message.template, to: message.to, attempt: message.attempts, error: error.message });
+      await db.emailQueue.update(message.id, failed
+        ? { status: 'failed', lastError: error.message, html: null, text: null }
+        : { lastError: error.message, nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS * 2 ** (message.attempts - 1)) });
+    }
+  }
+
+  // Send everything that is due. Calls made during a run share it, and make it
+  // look again at the end so messages queued meanwhile aren't left for the next poll.
+  function processQueue() {
+    if (running) {
+      rerun = true;
+    } else {
+      running = (async () => {
+        try {
+          let batch;
+          do {
+            rerun = false;
+            const now = new Date();
+            batch = await db.emailQueue.findDue(now, BATCH_SIZE);
+            for (const queued of batch) {
+              await deliver(queued, now);
+            }
+          } while (batch.length === BATCH_SIZE || rerun);
+        } catch (error) {
+          logger.error('Error processing email queue', error);
+        } finally {
+          running = null;
+        }
+      })();
+    }
+    return running;
+  }
+
+  return {
+    transport: transport.name,
+
+    // Render a template and queue it for delivery. Resolves once it is queued, not sent.
+    async send(to, template, data) {
+      const { subject, html, text } = renderEmail(template, data);
+      const queued = await db.emailQueue.create({
+        to,
+        template,
+        subject,
+        html,
+        text,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        lastError: null,
+        createdAt: new Date()
+      });
+      // Don't wait for the next poll; failures are retried by the worker
+      if (timer) processQueue();
+      return queued;
+    },
+
+    processQueue,
+
+    // Poll the queue in the background until stop()
+    start(intervalMs = POLL_INTERVAL_MS) {
+      if (timer) return;
+      timer = setInterval(processQueue, intervalMs);
+      timer.unref();
+      processQueue();
+    },
+
+    async stop() {
+      clearInterval(timer);
+      timer = null;
+      await running;
+    }
+  };
+}
+
+module.exports = { createMailer, TRANSPORTS, MAX_ATTEMPTS };
@@ -0,0 +1,161 @@
+// Prometheus metrics, served in the text exposition format at GET /metrics:
+//   http_request_duration_seconds{method,route,status} - histogram of request latency
+//   socketio_connections / socketio_connections_total - open sockets, and sockets ever opened
+//   comments_created_total{source}                    - new comments (rate() gives the posting rate)
+//   votes_total{type}                                 - votes cast
+// plus memory, uptime and event loop lag for the process. Routes are labelled with their
+// Express path ("/api/comments/:id"), never the raw URL, so the number of series stays bounded.
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// One time series per distinct set of label values
+function createSeries(labelNames, initial) {
+  const series = new Map();
+  return {
+    get(labels = {}) {
+      const values = labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+      const key = JSON.stringify(values);
+      if (!series.has(key)) {
+        series.set(key, { labels: Object.fromEntries(labelNames.map((name, i) => [name, values[i]])), ...initial() });
+      }
+      return series.get(key);
+    },
+    all: () => Array.from(series.values())
+  };
+}
+
+function createMetrics() {
+  const metrics = [];
+
+  function register(name, help, type, render) {
+    metrics.push({ name, help, type, render });
+  }
+
+  function counter(name, help, labelNames = []) {
+    const series = createSeries(labelNames, () => ({ value: 0 }));
+    register(name, help, 'counter', () => series.all().map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`));
+    return {
+      inc(labels, amount = 1) {
+        series.get(labels).value += amount;
+      }
+    };
+  }
+
+  // collect() is called on every scrape when the value is read rather than tracked
+  function gauge(name, help, { labelNames = [], collect } = {}) {
+    const series = createSeries(labelNames, () => ({ value: 0 }));
+    register(name, help, 'gauge', () => {
+      if (collect) return [`${name} ${collect()}`];
+      return series.all().map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+    });
+    return {
+      set(labels, value) {
+        series.get(labels).value = value;
+      },
+      inc(labels, amount = 1) {
+        series.get(labels).value += amount;
+      },
+      dec(labels, amount = 1) {
+        series.get(labels).value -= amount;
+      }
+    };
+  }
+
+  function histogram(name, help, { labelNames = [], buckets = DEFAULT_BUCKETS } = {}) {
+    const series = createSeries(labelNames, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+    register(name, help, 'histogram', () => series.all().flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((bound, i) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+      `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${name}_sum${formatLabels(labels)} ${sum}`,
+      `${name}_count${formatLabels(labels)} ${count}`
+    ]));
+    return {
+      observe(labels, value) {
+        const entry = series.get(labels);
+        buckets.forEach((bound, i) => {
+          if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      }
+    };
+  }
+
+  const eventLoopDelay = monitorEventLoopDelay();
+  eventLoopDelay.enable();
+  const startTime = Date.now() / 1000;
+
+  const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency by route and status', {
+    labelNames: ['method', 'route', 'status']
+  });
+  const socketConnections = gauge('socketio_connections', 'Socket.IO connections currently open');
+  const socketConnectionsTotal = counter('socketio_connections_total', 'Socket.IO connections opened');
+  const commentsCreated = counter('comments_created_total', 'Comments created', ['source']);
+  const votes = counter('votes_total', 'Votes cast, by type', ['type']);
+  // Unlabelled series are reported from the start, not from their first change
+  socketConnections.set({}, 0);
+  socketConnectionsTotal.inc({}, 0);
+
+  gauge('process_resident_memory_bytes', 'Resident memory size in bytes', { collect: () => process.memoryUsage().rss });
+  gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes', { collect: () => process.memoryUsage().heapUsed });
+  gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch', { collect: () => startTime });
+  gauge('nodejs_eventloop_lag_p99_seconds', '99th percentile event loop delay', {
+    collect: () => (eventLoopDelay.count ? eventLoopDelay.percentile(99) / 1e9 : 0)
+  });
+
+  return {
+    counter,
+    gauge,
+    histogram,
+
+    // Middleware timing every request. Unmatched requests share one route label.
+    httpMiddleware() {
+      return (req, res, next) => {
+        const start = process.hrtime.bigint();
+        res.on('finish', () => {
+          const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+          httpDuration.observe({ method: req.method, route, status: res.statusCode }, Number(process.hrtime.bigint() - start) / 1e9);
+        });
+        next();
+      };
+    },
+
+    socketConnected() {
+      socketConnections.inc();
+      socketConnectionsTotal.inc();
+    },
+
+    socketDisconnected() {
+      socketConnections.dec();
+    },
+
+    commentCreated(source = 'api') {
+      commentsCreated.inc({ source });
+    },
+
+    voted(type) {
+      votes.inc({ type });
+    },
+
+    render() {
+      return `${metrics.map(({ name, help, type, render }) => [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} ${type}`,
+        ...render()
+      ].join('\n')).join('\n')}\n`;
+    }
+  };
+}
+
+module.exports = { createMetrics, CONTENT_TYPE, DEFAULT_BUCKETS };
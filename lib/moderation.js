@@ -0,0 +1,38 @@
+// Roles, report reasons and ban checks shared by the moderation routes and the comment routes
+
+const ROLES = ['user', 'moderator', 'admin'];
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'misinformation', 'off-topic', 'other'];
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+// Roles are ordered: an admin can do everything a moderator can
+function hasRole(user, role) {
+  const userRole = (user && user.role) || 'user';
+  return ROLES.indexOf(userRole) >= ROLES.indexOf(role);
+}
+
+function isModerator(user) {
+  return hasRole(user, 'moderator');
+}
+
+// Active ban on a user record, or null. A ban without expiresAt is permanent.
+function getActiveBan(user, now = new Date()) {
+  if (!user || !user.ban) return null;
+  const { expiresAt } = user.ban;
+  if (expiresAt && new Date(expiresAt) <= now) return null;
+  return user.ban;
+}
+
+// Middleware: only let users with at least the given role through (use after authenticateToken)
+function requireRole(role) {
+  const middleware = (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `${role.charAt(0).toUpperCase()}${role.slice(1)} access required` });
+    }
+    next();
+  };
+  // Read by lib/openapi.js
+  middleware.requiredRole = role;
+  return middleware;
+}
+
+module.exports = { ROLES, REPORT_REASONS, REPORT_STATUSES, hasRole, isModerator, getActiveBan, requireRole };
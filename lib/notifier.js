@@ -0,0 +1,124 @@
+// Who hears about a new comment, and how.
+//
+// Each user gets at most one notification per comment, the first that applies:
+//   mention - @username in the text; never grouped, and delivered even in muted threads
+//   reply   - a reply to one of your comments
+//   thread  - a reply in a thread you subscribed to
+//   page    - a comment on a page you subscribed to
+// reply and thread notifications are grouped per thread and page notifications per
+// page, so a busy discussion updates one unread notification instead of adding many.
+// Muting a thread silences everything but mentions from it.
+// A workspace comment only reaches members of its workspace, mentions included.
+// Mentions also go out to webhooks subscribed to them (see lib/webhooks.js).
+
+const { logger } = require('./logger');
+
+function describe({ type, count, actorName }) {
+  switch (type) {
+    case 'reply':
+      return count > 1 ? `${count} new replies to your comments, latest from ${actorName}` : `${actorName} replied to your comment`;
+    case 'thread':
+      return count > 1 ? `${count} new replies in a thread you follow, latest from ${actorName}` : `${actorName} replied in a thread you follow`;
+    case 'page':
+      return count > 1 ? `${count} new comments on a page you follow, latest from ${actorName}` : `${actorName} commented on a page you follow`;
+    default:
+      return `${actorName} mentioned you in a comment`;
+  }
+}
+
+// Usernames @-mentioned in a comment's text
+function extractMentions(text) {
+  const mentionRegex = /@(\w+)/g;
+  const mentions = [];
+  let match;
+
+  while ((match = mentionRegex.exec(text)) !== null) {
+    mentions.push(match[1]);
+  }
+
+  return mentions;
+}
+
+function createNotifier({ db, realtime, webhooks }) {
+  function push(notification) {
+    realtime.toUser(notification.userId, 'notification', { userId: notification.userId, notification });
+  }
+
+  // Notify everyone with an interest in a newly created comment.
+  // parent is the comment replied to (if any); mentions are the usernames @-mentioned in it.
+  async function commentCreated(comment, { parent = null, mentions = [] } = {}) {
+    const threadId = comment.threadId || comment.id;
+    const recipients = new Map(); // user id -> type, in priority order
+
+    const mentionedUsers = (await Promise.all(Array.from(new Set(mentions)).map(username => db.users.findByUsername(username)))).filter(Boolean);
+    for (const user of mentionedUsers) {
+      recipients.set(user.id, 'mention');
+    }
+
+    const [threadSubscriptions, pageSubscriptions] = await Promise.all([
+      comment.parentId ? db.subscriptions.findByTarget('thread', threadId) : [],
+      db.subscriptions.findByTarget('page', comment.url)
+    ]);
+    const muted = new Set(threadSubscriptions.filter(sub => sub.muted).map(sub => sub.userId));
+
+    const candidates = [
+      ...(parent && parent.authorId ? [[parent.authorId, 'reply']] : []),
+      ...threadSubscriptions.filter(sub => !sub.muted).map(sub => [sub.userId, 'thread']),
+      ...pageSubscriptions.map(sub => [sub.userId, 'page'])
+    ];
+    for (const [userId, type] of candidates) {
+      if (!recipients.has(userId) && !muted.has(userId)) recipients.set(userId, type);
+    }
+    recipients.delete(comment.authorId);
+
+    if (comment.workspaceId) {
+      const members = await Promise.all(Array.from(recipients.keys(), userId => db.workspaceMembers.find(comment.workspaceId, userId)));
+      Array.from(recipients.keys()).forEach((userId, index) => {
+        if (!members[index]) recipients.delete(userId);
+      });
+    }
+
+    const workspaceId = comment.workspaceId || null;
+    const event = {
+      actorName: comment.authorName,
+      commentId: comment.id,
+      url: comment.url,
+      threadId,
+      workspaceId,
+      timestamp: new Date()
+    };
+
+    const results = await Promise.allSettled(Array.from(recipients, async ([userId, type]) => {
+      if (type === 'mention') {
+        await webhooks.mention(comment, mentionedUsers.find(user => user.id === userId));
+        const notification = {
+          userId,
+          type,
+          message: describe({ type, actorName: comment.authorName }),
+          commentId: comment.id,
+          url: comment.url,
+          threadId,
+          workspaceId,
+          timestamp: event.timestamp,
+          read: false
+        };
+        const { id } = await db.notifications.create(notification);
+        return push({ id, ...notification });
+      }
+
+      // A page's workspace comments are grouped apart from its public ones
+      const pageKey = workspaceId ? `page:${comment.url}#workspace:${workspaceId}` : `page:${comment.url}`;
+      const groupKey = type === 'page' ? pageKey : `${type}:${threadId}`;
+      push(await db.notifications.addToGroup(userId, groupKey, { type, ...event }, describe));
+    }));
+
+    // One recipient failing must not stop the others, nor fail the comment itself
+    for (const result of results) {
+      if (result.status === 'rejected') logger.error('Error sending notification', result.reason);
+    }
+  }
+
+  return { commentCreated };
+}
+
+module.exports = { createNotifier, extractMentions };
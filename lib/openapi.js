@@ -0,0 +1,142 @@
+// The OpenAPI 3 document served at GET /api/openapi.json, built from the routes the
+// app has registered rather than maintained by hand. The schemas given to validate()
+// (lib/validation.js) describe each /api route's path parameters, query and body, and
+// the authentication middleware in front of it decides whether it takes a bearer token.
+// requireRole() marks moderator and admin routes.
+
+const ERROR_RESPONSE = { description: 'Error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+
+const COMPONENTS = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+  },
+  schemas: {
+    Error: {
+      type: 'object',
+      required: ['error'],
+      properties: {
+        error: { type: 'string', description: 'What went wrong' },
+        code: { type: 'string', description: 'Machine-readable code, e.g. VALIDATION_FAILED or TOKEN_EXPIRED' },
+        details: {
+          type: 'array',
+          description: 'The fields that failed validation',
+          items: {
+            type: 'object',
+            properties: {
+              in: { type: 'string', enum: ['params', 'query', 'body'] },
+              field: { type: 'string' },
+              message: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Every route layer of an app, including those of mounted routers
+function listRoutes(stack) {
+  return stack.flatMap((layer) => {
+    if (layer.route) return [layer.route];
+    if (layer.handle && Array.isArray(layer.handle.stack)) return listRoutes(layer.handle.stack);
+    return [];
+  });
+}
+
+// GET /api/comments/:id/replies -> getCommentsByIdReplies
+function operationId(method, path) {
+  const words = path.replace(/^\/api\//, '').split(/[/-]/).filter(Boolean).map((segment) => {
+    const word = segment.startsWith(':') ? `by-${segment.slice(1)}` : segment;
+    return word.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+  });
+  return `${method}${words.join('')}`;
+}
+
+function parametersOf(path, schemas) {
+  const parameters = [];
+  const params = (schemas.params && schemas.params.properties) || {};
+  for (const [, name] of path.matchAll(/:(\w+)/g)) {
+    parameters.push({ name, in: 'path', required: true, schema: params[name] || { type: 'string' } });
+  }
+
+  const query = schemas.query || {};
+  for (const [name, schema] of Object.entries(query.properties || {})) {
+    const { description, ...rest } = schema;
+    parameters.push({
+      name,
+      in: 'query',
+      required: (query.required || []).includes(name),
+      ...(description ? { description } : {}),
+      schema: rest
+    });
+  }
+  return parameters;
+}
+
+function buildOperation(method, path, route, { requiredAuth, optionalAuth }) {
+  const handles = route.stack.map(layer => layer.handle);
+  const schemas = Object.assign({}, ...handles.filter(handle => handle.schemas).map(handle => handle.schemas));
+  const role = handles.map(handle => handle.requiredRole).find(Boolean);
+  const authenticated = handles.includes(requiredAuth);
+
+  const operation = {
+    operationId: operationId(method, path),
+    tags: [path.split('/')[2]],
+    parameters: parametersOf(path, schemas),
+    responses: {
+      200: { description: 'Success' },
+      ...(Object.keys(schemas).length ? { 400: ERROR_RESPONSE } : {}),
+      ...(authenticated ? { 401: ERROR_RESPONSE } : {}),
+      default: ERROR_RESPONSE
+    }
+  };
+
+  if (schemas.body) {
+    operation.requestBody = {
+      // Only an object body with no required fields may be left out; anything else
+      // (an anyOf of collections and arrays, say) has to be sent
+      required: schemas.body.type !== 'object' || Boolean(schemas.body.required && schemas.body.required.length),
+      content: { 'application/json': { schema: schemas.body } }
+    };
+  }
+
+  if (authenticated) {
+    operation.security = [{ bearerAuth: [] }];
+  } else if (handles.includes(optionalAuth)) {
+    // Signed-in callers may see more (their workspaces, their reactions)
+    operation.security = [{}, { bearerAuth: [] }];
+  }
+
+  if (role) {
+    operation.description = `Requires the ${role} role.`;
+  }
+
+  return operation;
+}
+
+// Build the document for an Express app. requiredAuth and optionalAuth are the
+// middleware functions that authenticate requests.
+function buildOpenApiDocument(app, { title, version, serverUrl, requiredAuth, optionalAuth }) {
+  const paths = {};
+
+  for (const route of listRoutes(app._router.stack)) {
+    if (typeof route.path !== 'string' || !route.path.startsWith('/api/')) continue;
+
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    for (const method of Object.keys(route.methods)) {
+      if (method === '_all') continue;
+      paths[path] = paths[path] || {};
+      paths[path][method] = buildOperation(method, route.path, route, { requiredAuth, optionalAuth });
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: { title, version },
+    ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+    paths,
+    components: COMPONENTS
+  };
+}
+
+module.exports = { buildOpenApiDocument };
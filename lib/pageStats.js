@@ -0,0 +1,39 @@
+// Per-page comment counts for toolbar badges and link decorations (POST /api/comments/counts).
+//
+// Only what anyone can see is counted: public comments that aren't hidden (or held).
+// A deleted comment stops counting as a comment, but a top-level tombstone still holds
+// its thread together, so the thread counts until the tombstone itself goes.
+// The counters move with every change instead of being recounted, and lastActivityAt is
+// when the newest counted comment was posted. npm run stats:rebuild recomputes everything.
+
+// What a comment contributes to its page: { comments, threads }
+const { logger } = require('./logger');
+
+function countsOf(comment) {
+  if (!comment || comment.workspaceId || comment.hidden) return { comments: 0, threads: 0 };
+  return { comments: comment.deleted ? 0 : 1, threads: comment.parentId ? 0 : 1 };
+}
+
+// Move the page's counters from a comment's state before a change to its state after it;
+// before is null for a new comment and after is null once it has been removed
+async function commentChanged(db, before, after) {
+  const from = countsOf(before);
+  const to = countsOf(after);
+  const comments = to.comments - from.comments;
+  const threads = to.threads - from.threads;
+  if (!comments && !threads) return;
+
+  const comment = after || before;
+  try {
+    await db.pageStats.adjust(comment.url, {
+      comments,
+      threads,
+      activityAt: comments > 0 ? comment.timestamp : null
+    });
+  } catch (error) {
+    // Counts are a convenience; they must never fail the change itself
+    logger.error('Error updating page stats', error);
+  }
+}
+
+module.exports = { countsOf, commentChanged };
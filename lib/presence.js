@@ -0,0 +1,146 @@
+// Live presence and typing indicators per page, kept in process memory.
+//
+// Events sent to the page room:
+//   presence   { url, viewers, users }           - whenever the set of viewers changes
+//   userJoined { url, userId, username }         - a signed-in user opened the page (first tab)
+//   userLeft   { url, userId, username }         - ...and closed it (last tab)
+//   typing     { url, threadId, workspaceId, userId, username, isTyping }
+//
+// threadId is the id of the comment being replied to, or null for a new top-level comment.
+// Typing in a workspace (a reply to one of its comments, or a new comment posted to it)
+// goes to that workspace's page room instead, so it never reaches other viewers.
+
+const TYPING_TTL_MS = 6000;
+
+function createPresence(io, { pageRoom, workspacePageRoom, typingTtlMs = TYPING_TTL_MS }) {
+  const pages = new Map(); // canonical url -> Map(socket id -> user or null)
+  const typing = new Map(); // `${room} ${threadId}` -> { url, threadId, workspaceId, typists: Map(user id -> { username, timer }) }
+
+  function summarize(url) {
+    const sockets = pages.get(url);
+    if (!sockets) return { url, viewers: 0, users: [] };
+
+    const viewers = new Set();
+    const users = new Map();
+    for (const [socketId, user] of sockets) {
+      viewers.add(user ? `user:${user.id}` : `socket:${socketId}`);
+      if (user) users.set(user.id, user.username);
+    }
+    return { url, viewers: viewers.size, users: Array.from(users.values()).sort() };
+  }
+
+  function countSocketsOf(url, userId) {
+    const sockets = pages.get(url);
+    if (!sockets) return 0;
+    return Array.from(sockets.values()).filter(user => user && user.id === userId).length;
+  }
+
+  function broadcastPresence(url) {
+    io.to(pageRoom(url)).emit('presence', summarize(url));
+  }
+
+  function typingRoom(url, workspaceId) {
+    return workspaceId ? workspacePageRoom(workspaceId, url) : pageRoom(url);
+  }
+
+  function typingKey(url, threadId, workspaceId) {
+    return `${typingRoom(url, workspaceId)} ${threadId || ''}`;
+  }
+
+  function typingEvent(url, threadId, workspaceId, user, isTyping) {
+    return { url, threadId: threadId || null, workspaceId: workspaceId || null, userId: user.id, username: user.username, isTyping };
+  }
+
+  function stopTyping(url, threadId, workspaceId, user) {
+    const key = typingKey(url, threadId, workspaceId);
+    const thread = typing.get(key);
+    const entry = thread && thread.typists.get(user.id);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    thread.typists.delete(user.id);
+    if (!thread.typists.size) typing.delete(key);
+
+    io.to(typingRoom(url, workspaceId)).emit('typing', typingEvent(url, threadId, workspaceId, user, false));
+  }
+
+  // Repeated "start" events only push the expiry back; the room hears about
+  // a user once when they start and once when they stop or go quiet.
+  function startTyping(socket, url, threadId, workspaceId) {
+    const { user } = socket.data;
+    const key = typingKey(url, threadId, workspaceId);
+    if (!typing.has(key)) typing.set(key, { url, threadId, workspaceId, typists: new Map() });
+    const { typists } = typing.get(key);
+
+    const existing = typists.get(user.id);
+    if (existing) clearTimeout(existing.timer);
+
+    const timer = setTimeout(() => stopTyping(url, threadId, workspaceId, user), typingTtlMs);
+    timer.unref();
+    typists.set(user.id, { username: user.username, timer });
+
+    if (!existing) {
+      socket.to(typingRoom(url, workspaceId)).emit('typing', typingEvent(url, threadId, workspaceId, user, true));
+    }
+  }
+
+  function clearTypingFor(url, user) {
+    for (const thread of Array.from(typing.values())) {
+      if (thread.url === url) stopTyping(url, thread.threadId, thread.workspaceId, user);
+    }
+  }
+
+  function join(socket, url) {
+    if (!pages.has(url)) pages.set(url, new Map());
+    const sockets = pages.get(url);
+    if (sockets.has(socket.id)) return;
+
+    const { user } = socket.data;
+    sockets.set(socket.id, user);
+    if (!socket.data.pages) socket.data.pages = new Set();
+    socket.data.pages.add(url);
+
+    if (user && countSocketsOf(url, user.id) === 1) {
+      io.to(pageRoom(url)).emit('userJoined', { url, userId: user.id, username: user.username });
+    }
+    broadcastPresence(url);
+  }
+
+  function leave(socket, url) {
+    const sockets = pages.get(url);
+    if (!sockets || !sockets.has(socket.id)) return;
+
+    const { user } = socket.data;
+    sockets.delete(socket.id);
+    if (!sockets.size) pages.delete(url);
+    if (socket.data.pages) socket.data.pages.delete(url);
+
+    if (user && countSocketsOf(url, user.id) === 0) {
+      clearTypingFor(url, user);
+      io.to(pageRoom(url)).emit('userLeft', { url, userId: user.id, username: user.username });
+    }
+    broadcastPresence(url);
+  }
+
+  function leaveAll(socket) {
+    for (const url of Array.from(socket.data.pages || [])) {
+      leave(socket, url);
+    }
+  }
+
+  // workspaceId is the workspace the comment being written belongs to, or null
+  function setTyping(socket, url, threadId, isTyping, workspaceId = null) {
+    if (isTyping) startTyping(socket, url, threadId, workspaceId);
+    else stopTyping(url, threadId, workspaceId, socket.data.user);
+  }
+
+  return {
+    join,
+    leave,
+    leaveAll,
+    setTyping,
+    get: summarize
+  };
+}
+
+module.exports = { createPresence, TYPING_TTL_MS };
@@ -0,0 +1,89 @@
+// Public profiles: which user fields are editable, how they are validated and
+// what other people get to see. Email preferences are edited alongside the profile.
+const { isModerator } = require('./moderation');
+const { DIGEST_FREQUENCIES } = require('./digests');
+
+const MAX_BIO_LENGTH = 500;
+const MAX_DISPLAY_NAME_LENGTH = 50;
+const MAX_AVATAR_URL_LENGTH = 2048;
+
+// PATCH /api/auth/me body (see lib/validation.js). bio and avatar can be cleared with
+// null; displayName falls back to the full name when cleared.
+const PROFILE_UPDATE = {
+  type: 'object',
+  properties: {
+    displayName: { type: 'string', nullable: true, maxLength: MAX_DISPLAY_NAME_LENGTH },
+    bio: { type: 'string', nullable: true, maxLength: MAX_BIO_LENGTH },
+    avatar: { type: 'string', nullable: true, format: 'uri', maxLength: MAX_AVATAR_URL_LENGTH },
+    hideActivity: { type: 'boolean' },
+    emailDigest: { type: 'string', enum: DIGEST_FREQUENCIES }
+  }
+};
+
+// Turn a body that passed PROFILE_UPDATE into the fields to store. Returns { update } or { error }.
+function readProfileUpdate(body) {
+  const update = {};
+
+  if (body.displayName !== undefined) {
+    const displayName = body.displayName === null ? null : body.displayName.trim();
+    if (displayName === '') {
+      return { error: `displayName must be 1-${MAX_DISPLAY_NAME_LENGTH} characters` };
+    }
+    update.displayName = displayName;
+  }
+
+  if (body.bio !== undefined) {
+    update.bio = body.bio === null ? null : body.bio.trim();
+  }
+
+  for (const field of ['avatar', 'hideActivity', 'emailDigest']) {
+    if (body[field] !== undefined) update[field] = body[field];
+  }
+
+  if (!Object.keys(update).length) {
+    return { error: 'Nothing to update. Editable fields: displayName, bio, avatar, hideActivity, emailDigest' };
+  }
+  return { update };
+}
+
+// What anyone can see about a user
+function toPublicProfile(user, { commentCount }) {
+  return {
+    id: user.id,
+    username: user.username,
+    displayName: user.displayName || user.fullname || user.username,
+    avatar: user.avatar || null,
+    bio: user.bio || null,
+    joinedAt: user.createdAt || null,
+    commentCount,
+    karma: user.karma || 0,
+    activityHidden: Boolean(user.hideActivity)
+  };
+}
+
+// The signed-in user's own account, as returned by /api/auth/me
+function toAccount(user) {
+  return {
+    id: user.id,
+    fullname: user.fullname,
+    username: user.username,
+    email: user.email,
+    displayName: user.displayName || user.fullname || user.username,
+    avatar: user.avatar || null,
+    bio: user.bio || null,
+    hideActivity: Boolean(user.hideActivity),
+    emailVerified: Boolean(user.emailVerified),
+    emailDigest: user.emailDigest || 'off',
+    karma: user.karma || 0,
+    role: user.role || 'user',
+    createdAt: user.createdAt || null
+  };
+}
+
+// The activity feed is visible to everyone unless the user hid it; they and moderators always see it
+function canViewActivity(user, viewer) {
+  if (!user.hideActivity) return true;
+  return Boolean(viewer) && (viewer.id === user.id || isModerator(viewer));
+}
+
+module.exports = { PROFILE_UPDATE, readProfileUpdate, toPublicProfile, toAccount, canViewActivity };
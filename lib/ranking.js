@@ -0,0 +1,72 @@
+// Ranking modes for comment listings, all computed from the denormalized
+// upvotes/downvotes counters on each comment.
+const { DOCUMENT_ID } = require('../storage');
+
+const SORT_MODES = ['new', 'old', 'top', 'hot', 'controversial'];
+const DEFAULT_SORT = 'new';
+
+// Epoch for hot ranking; any fixed date works, it only shifts every score equally
+const HOT_EPOCH_SECONDS = Date.UTC(2025, 0, 1) / 1000;
+// A 10x difference in score is worth this many seconds of age
+const HOT_DECAY_SECONDS = 45000;
+
+// Lower bound of the Wilson score interval for the share of upvotes (95% confidence).
+// Favours a comment at 30/2 over one at 1/0, unlike a plain ratio.
+function wilsonLowerBound(upvotes, downvotes, z = 1.96) {
+  const n = upvotes + downvotes;
+  if (n === 0) return 0;
+  const p = upvotes / n;
+  const z2 = z * z;
+  return (p + z2 / (2 * n) - z * Math.sqrt((p * (1 - p) + z2 / (4 * n)) / n)) / (1 + z2 / n);
+}
+
+// Log-scaled score plus a bonus for recency, so new comments can overtake old favourites
+function hotScore(upvotes, downvotes, timestamp) {
+  const score = upvotes - downvotes;
+  const order = Math.log10(Math.max(Math.abs(score), 1));
+  const sign = Math.sign(score);
+  const seconds = new Date(timestamp).getTime() / 1000 - HOT_EPOCH_SECONDS;
+  return sign * order + seconds / HOT_DECAY_SECONDS;
+}
+
+// High when there are many votes split close to evenly
+function controversyScore(upvotes, downvotes) {
+  if (upvotes <= 0 || downvotes <= 0) return 0;
+  const magnitude = upvotes + downvotes;
+  const balance = upvotes > downvotes ? downvotes / upvotes : upvotes / downvotes;
+  return Math.pow(magnitude, balance);
+}
+
+// Sort keys stored on each comment, so listings can be ordered by the datastore itself.
+// Recomputed whenever the vote counters change.
+function rankFields(upvotes, downvotes, timestamp) {
+  return {
+    score: upvotes - downvotes,
+    wilson: wilsonLowerBound(upvotes, downvotes),
+    hot: hotScore(upvotes, downvotes, timestamp),
+    controversy: controversyScore(upvotes, downvotes)
+  };
+}
+
+// orderBy clauses for each sort mode; the document id breaks ties so cursors are stable
+const SORT_ORDERS = {
+  new: [['timestamp', 'desc'], [DOCUMENT_ID, 'desc']],
+  old: [['timestamp', 'asc'], [DOCUMENT_ID, 'asc']],
+  top: [['wilson', 'desc'], ['timestamp', 'desc'], [DOCUMENT_ID, 'desc']],
+  hot: [['hot', 'desc'], [DOCUMENT_ID, 'desc']],
+  controversial: [['controversy', 'desc'], ['timestamp', 'desc'], [DOCUMENT_ID, 'desc']]
+};
+
+// Replies within a thread are always shown oldest first
+const REPLY_ORDER = [['timestamp', 'asc'], [DOCUMENT_ID, 'asc']];
+
+module.exports = {
+  SORT_MODES,
+  DEFAULT_SORT,
+  SORT_ORDERS,
+  REPLY_ORDER,
+  wilsonLowerBound,
+  hotScore,
+  controversyScore,
+  rankFields
+};
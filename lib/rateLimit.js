@@ -0,0 +1,149 @@
+// Request rate limits per route group, counted per IP and per signed-in user.
+//
+// Counters live in a limit store, which is anything with
+//   hit(key, windowMs) -> { count, resetAt }  count one hit in a fixed window
+//   get(key)           -> { count, resetAt } or null once the window has run out
+//   reset(key)
+//   close()
+// RATE_LIMIT_STORE selects it: memory (default; per process) or storage (the
+// rateLimits collection, shared by every instance).
+//
+// Each group's limits can be overridden with RATE_LIMIT_<GROUP>_IP and
+// RATE_LIMIT_<GROUP>_USER, as "<max>/<seconds>" or "off".
+
+const { logger } = require('./logger');
+
+const LIMIT_STORES = ['memory', 'storage'];
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const DEFAULT_LIMITS = {
+  api: { ip: '600/60' },                      // everything under /api
+  auth: { ip: '20/60' },                      // sign-in, registration and recovery
+  comments: { ip: '30/60', user: '10/60' },   // posting and editing
+  votes: { ip: '120/60', user: '60/60' },
+  reactions: { ip: '120/60', user: '60/60' },
+  reports: { user: '10/3600' },
+  search: { ip: '60/60' }
+};
+
+function createMemoryLimitStore() {
+  const counters = new Map(); // key -> { count, resetAt }
+
+  // Forget windows that have run out so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt.getTime() <= now) counters.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  const live = (key) => {
+    const counter = counters.get(key);
+    return counter && counter.resetAt.getTime() > Date.now() ? counter : null;
+  };
+
+  return {
+    async hit(key, windowMs) {
+      let counter = live(key);
+      if (!counter) {
+        counter = { count: 0, resetAt: new Date(Date.now() + windowMs) };
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return { ...counter };
+    },
+
+    async get(key) {
+      const counter = live(key);
+      return counter ? { ...counter } : null;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+
+    close() {
+      clearInterval(sweep);
+    }
+  };
+}
+
+function createLimitStore({ db, env = process.env }) {
+  const backend = env.RATE_LIMIT_STORE || 'memory';
+
+  switch (backend) {
+    case 'memory':
+      return createMemoryLimitStore();
+    case 'storage':
+      return db.rateLimits;
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${backend}". Expected one of: ${LIMIT_STORES.join(', ')}`);
+  }
+}
+
+// "10/60" -> { max: 10, windowMs: 60000 }; "off" or nothing -> null
+function parseLimit(value) {
+  if (!value || value === 'off') return null;
+  const match = /^(\d+)\/(\d+)$/.exec(String(value).trim());
+  if (!match) throw new Error(`Invalid rate limit "${value}". Expected "<max>/<seconds>" or "off"`);
+  return { max: parseInt(match[1], 10), windowMs: parseInt(match[2], 10) * 1000 };
+}
+
+// Group limits with any RATE_LIMIT_* overrides applied
+function readLimits(env = process.env) {
+  const limits = {};
+  for (const [group, defaults] of Object.entries(DEFAULT_LIMITS)) {
+    const prefix = `RATE_LIMIT_${group.toUpperCase()}`;
+    limits[group] = {
+      ip: parseLimit(env[`${prefix}_IP`] !== undefined ? env[`${prefix}_IP`] : defaults.ip),
+      user: parseLimit(env[`${prefix}_USER`] !== undefined ? env[`${prefix}_USER`] : defaults.user)
+    };
+  }
+  return limits;
+}
+
+function createRateLimiter({ limitStore, limits = readLimits() }) {
+  // Middleware counting a request against a group. Per-user limits only apply once
+  // req.user is set, so put it after authenticateToken where there is one.
+  return function rateLimit(group) {
+    if (!limits[group]) throw new Error(`Unknown rate limit group "${group}"`);
+    const { ip, user } = limits[group];
+
+    return async (req, res, next) => {
+      const checks = [];
+      if (ip) checks.push([`rl:${group}:ip:${req.ip}`, ip]);
+      if (user && req.user) checks.push([`rl:${group}:user:${req.user.id}`, user]);
+      if (!checks.length) return next();
+
+      try {
+        const results = await Promise.all(checks.map(([key, limit]) => limitStore.hit(key, limit.windowMs)));
+
+        // Report whichever limit is closest to running out
+        let tightest = null;
+        results.forEach(({ count, resetAt }, index) => {
+          const { max } = checks[index][1];
+          const remaining = max - count;
+          if (!tightest || remaining < tightest.remaining) tightest = { max, remaining, resetAt };
+        });
+
+        const resetSeconds = Math.max(Math.ceil((tightest.resetAt.getTime() - Date.now()) / 1000), 0);
+        res.set('RateLimit-Limit', String(tightest.max));
+        res.set('RateLimit-Remaining', String(Math.max(tightest.remaining, 0)));
+        res.set('RateLimit-Reset', String(resetSeconds));
+
+        if (tightest.remaining < 0) {
+          res.set('Retry-After', String(resetSeconds));
+          return res.status(429).json({ error: 'Too many requests, please slow down', retryAfter: resetSeconds });
+        }
+        next();
+      } catch (error) {
+        // A broken limit store must not take the API down with it
+        logger.error('Error checking rate limit', error);
+        next();
+      }
+    };
+  };
+}
+
+module.exports = { createLimitStore, createMemoryLimitStore, createRateLimiter, readLimits, DEFAULT_LIMITS, LIMIT_STORES };
@@ -0,0 +1,17 @@
+// Emoji reactions: lightweight feedback that, unlike votes, never affects ranking.
+// The allowed set comes from REACTIONS (comma-separated), defaulting to DEFAULT_REACTIONS.
+
+const DEFAULT_REACTIONS = ['👍', '🎉', '❤️', '😂', '🤔', '👀'];
+
+function readReactions(env = process.env) {
+  const configured = (env.REACTIONS || '').split(',').map(emoji => emoji.trim()).filter(Boolean);
+  return configured.length ? Array.from(new Set(configured)) : DEFAULT_REACTIONS;
+}
+
+const REACTIONS = readReactions();
+
+function isReaction(emoji) {
+  return REACTIONS.includes(emoji);
+}
+
+module.exports = { REACTIONS, DEFAULT_REACTIONS, isReaction };
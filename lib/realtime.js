@@ -0,0 +1,196 @@
+// Socket.IO wiring: authenticated connections and room-scoped events.
+//
+// Rooms:
+//   page:<canonical url> - everyone viewing a page; receives that page's public comment events
+//   workspace:<id>:page:<canonical url> - members of a workspace viewing a page; receives
+//                          events about that workspace's comments on it
+//   user:<user id>       - every socket of a signed-in user; receives private notifications
+//
+// Sockets authenticate with the same JWT as the REST API, passed as
+// io(url, { auth: { token } }), an Authorization header or a ?token= query.
+// Sockets without a token may only join and leave page rooms.
+//
+// Presence and typing indicators for page rooms live in lib/presence.js.
+const { canonicalizeUrl } = require('./canonicalUrl');
+const { createPresence } = require('./presence');
+const { logger } = require('./logger');
+
+const ANONYMOUS_EVENTS = ['joinRoom', 'leaveRoom'];
+
+function pageRoom(url) {
+  return `page:${canonicalizeUrl(url)}`;
+}
+
+function workspacePageRoom(workspaceId, url) {
+  return `workspace:${workspaceId}:${pageRoom(url)}`;
+}
+
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+function getHandshakeToken(handshake) {
+  if (handshake.auth && handshake.auth.token) return handshake.auth.token;
+  const authHeader = handshake.headers && handshake.headers.authorization;
+  if (authHeader) return authHeader.split(' ')[1];
+  return handshake.query && handshake.query.token;
+}
+
+// listWorkspaceIds(userId) resolves with the ids of the workspaces a user belongs to;
+// findComment(id) resolves with a comment or null; metrics counts connections (see lib/metrics.js)
+function createRealtime(io, { verifyToken, listWorkspaceIds, findComment, metrics }) {
+  const presence = createPresence(io, { pageRoom, workspacePageRoom });
+
+  io.use(async (socket, next) => {
+    socket.data.user = null;
+    const token = getHandshakeToken(socket.handshake);
+    if (!token) return next();
+
+    try {
+      socket.data.user = await verifyToken(token);
+      next();
+    } catch (error) {
+      // A bad token is rejected outright rather than silently downgraded to anonymous
+      next(new Error('Invalid token'));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    const { user } = socket.data;
+    logger.debug('Socket connected', { socketId: socket.id, userId: user ? user.id : null });
+    metrics.socketConnected();
+
+    if (user) {
+      socket.join(userRoom(user.id));
+    }
+
+    // Anonymous sockets are read-only: anything beyond joining/leaving page rooms needs a token
+    socket.use(([event], next) => {
+      if (!socket.data.user && !ANONYMOUS_EVENTS.includes(event)) {
+        return next(new Error('Authentication required'));
+      }
+      next();
+    });
+
+    socket.on('error', (error) => {
+      socket.emit('socketError', { error: error.message });
+    });
+
+    socket.on('joinRoom', async (url, ack) => {
+      if (typeof url !== 'string' || !url.trim()) {
+        if (typeof ack === 'function') ack({ error: 'URL is required' });
+        return;
+      }
+      const room = pageRoom(url);
+      socket.join(room);
+      presence.join(socket, canonicalizeUrl(url));
+      logger.debug('Socket joined room', { socketId: socket.id, room });
+
+      // Members also hear about their workspaces' comments on the page
+      let workspaceIds = [];
+      if (socket.data.user) {
+        try {
+          workspaceIds = await listWorkspaceIds(socket.data.user.id);
+        } catch (error) {
+          logger.error('Error loading workspaces for socket', error);
+        }
+      }
+      // The socket may have left (or gone) while the workspaces were loading
+      if (socket.connected && socket.data.pages && socket.data.pages.has(canonicalizeUrl(url))) {
+        workspaceIds.forEach(workspaceId => socket.join(workspacePageRoom(workspaceId, url)));
+      }
+
+      if (typeof ack === 'function') ack({ room, workspaces: workspaceIds, presence: presence.get(canonicalizeUrl(url)) });
+    });
+
+    socket.on('leaveRoom', (url) => {
+      if (typeof url !== 'string') return;
+      const room = pageRoom(url);
+      socket.leave(room);
+      Array.from(socket.rooms)
+        .filter(name => name.startsWith('workspace:') && name === workspacePageRoom(name.split(':')[1], url))
+        .forEach(name => socket.leave(name));
+      presence.leave(socket, canonicalizeUrl(url));
+    });
+
+    // { url, threadId, workspaceId, isTyping } - threadId is the comment being replied to, null
+    // for top level; workspaceId is where a new top-level comment is being posted, null for public
+    socket.on('typing', async (payload) => {
+      const { url, threadId = null, workspaceId: requestedWorkspace = null, isTyping = true } = payload || {};
+      if (typeof url !== 'string') return;
+      const canonical = canonicalizeUrl(url);
+      // Only sockets that are actually on the page can type there
+      if (!socket.data.pages || !socket.data.pages.has(canonical)) return;
+
+      // A reply shares its thread's visibility, whatever the client says
+      const thread = typeof threadId === 'string' ? threadId : null;
+      let workspaceId = typeof requestedWorkspace === 'string' ? requestedWorkspace : null;
+      if (thread) {
+        try {
+          const comment = await findComment(thread);
+          if (!comment || comment.deleted) return;
+          workspaceId = comment.workspaceId || null;
+        } catch (error) {
+          logger.error('Error loading comment for typing indicator', error);
+          return;
+        }
+      }
+
+      // Workspace typing is only shown to members, and only members may send it
+      if (workspaceId && !socket.rooms.has(workspacePageRoom(workspaceId, canonical))) return;
+      presence.setTyping(socket, canonical, thread, Boolean(isTyping), workspaceId);
+    });
+
+    socket.on('disconnecting', () => {
+      presence.leaveAll(socket);
+    });
+
+    socket.on('disconnect', () => {
+      logger.debug('Socket disconnected', { socketId: socket.id });
+      metrics.socketDisconnected();
+    });
+  });
+
+  return {
+    // Broadcast a comment event to everyone viewing the page who may see the comment:
+    // the whole page for public comments, only the workspace's members otherwise
+    toPage(url, event, payload, workspaceId = null) {
+      io.to(workspaceId ? workspacePageRoom(workspaceId, url) : pageRoom(url)).emit(event, payload);
+    },
+
+    // Deliver a private event to every socket of one user
+    toUser(userId, event, payload) {
+      io.to(userRoom(userId)).emit(event, payload);
+    },
+
+    // Close the sockets a user opened with tokens from revoked sessions
+    disconnectSessions(userId, sessionIds) {
+      const revoked = new Set(sessionIds);
+      io.in(userRoom(userId)).fetchSockets()
+        .then(sockets => sockets
+          .filter(socket => socket.data.user && revoked.has(socket.data.user.sid))
+          .forEach(socket => socket.disconnect(true)))
+        .catch(error => logger.error('Error disconnecting revoked sessions', error));
+    },
+
+    // Add or remove a user's open pages to a workspace's rooms after they join or leave it
+    setWorkspaceAccess(userId, workspaceId, member) {
+      io.in(userRoom(userId)).fetchSockets()
+        .then(sockets => sockets.forEach(socket => {
+          for (const url of socket.data.pages || []) {
+            const room = workspacePageRoom(workspaceId, url);
+            if (member) socket.join(room);
+            else socket.leave(room);
+          }
+        }))
+        .catch(error => logger.error('Error updating workspace rooms', error));
+    },
+
+    // Current viewers of a page: { url, viewers, users }
+    getPresence(url) {
+      return presence.get(canonicalizeUrl(url));
+    }
+  };
+}
+
+module.exports = { createRealtime, pageRoom, workspacePageRoom, userRoom };
@@ -0,0 +1,106 @@
+// Text analysis for full-text search: tokenizing, stemming, scoring and snippets.
+// The same analysis runs over comment text when it is indexed and over queries,
+// so both sides agree on what a term is.
+const { stem } = require('./stemmer');
+
+const MAX_TERM_LENGTH = 64;
+const SNIPPET_LENGTH = 200;
+const SNIPPET_LEAD = 60; // Characters of context kept before the first match
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or',
+  'so', 'that', 'the', 'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was',
+  'we', 'were', 'will', 'with', 'you', 'your'
+]);
+
+// Lowercase and strip accents so "Café" and "cafe" match
+function fold(word) {
+  return word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+// Words in text with their offsets: [{ term, start, end }]. Stop words and
+// overlong tokens produce no term.
+function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || '').matchAll(/[\p{L}\p{N}]+/gu)) {
+    const word = fold(match[0]);
+    if (STOP_WORDS.has(word) || word.length > MAX_TERM_LENGTH) continue;
+    tokens.push({ term: stem(word), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+// Term frequencies for a document: { terms: Map(term -> count), length }
+function analyze(text) {
+  const terms = new Map();
+  const tokens = tokenize(text);
+  for (const { term } of tokens) {
+    terms.set(term, (terms.get(term) || 0) + 1);
+  }
+  return { terms, length: tokens.length };
+}
+
+// Distinct terms of a search query, in the order they were typed
+function queryTerms(query) {
+  return Array.from(new Set(tokenize(query).map(token => token.term)));
+}
+
+// TF-IDF style relevance of one posting: rarer terms and repeated terms count for more,
+// long comments count for less
+function termScore(posting, documentFrequency, totalDocuments) {
+  const idf = Math.log(1 + totalDocuments / Math.max(documentFrequency, 1));
+  return idf * (1 + Math.log(posting.count)) / Math.sqrt(Math.max(posting.length, 1));
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// HTML-escaped excerpt of text around the first match, with matching words in <mark>
+function highlightSnippet(text, terms) {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  const wanted = new Set(terms);
+  const matches = tokenize(source).filter(token => wanted.has(token.term));
+
+  let start = 0;
+  if (matches.length && matches[0].start > SNIPPET_LEAD) {
+    start = matches[0].start - SNIPPET_LEAD;
+    // Start on a word boundary
+    const space = source.indexOf(' ', start);
+    if (space !== -1 && space < matches[0].start) start = space + 1;
+  }
+  let end = Math.min(source.length, start + SNIPPET_LENGTH);
+  if (end < source.length) {
+    const space = source.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+
+  let snippet = start > 0 ? '…' : '';
+  let position = start;
+  for (const match of matches) {
+    if (match.start < start) continue;
+    if (match.end > end) break;
+    snippet += escapeHtml(source.slice(position, match.start));
+    snippet += `<mark>${escapeHtml(source.slice(match.start, match.end))}</mark>`;
+    position = match.end;
+  }
+  snippet += escapeHtml(source.slice(position, end));
+  return end < source.length ? `${snippet}…` : snippet;
+}
+
+// Host of a canonical URL, used for the domain filter; null for non-http URLs
+function domainOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { tokenize, analyze, queryTerms, termScore, highlightSnippet, domainOf };
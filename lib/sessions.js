@@ -0,0 +1,187 @@
+// Sign-in sessions: short-lived access tokens plus rotating refresh tokens.
+//
+// Signing in creates a session (one per device) and returns
+//   token        - a JWT access token carrying the session id as `sid`, valid ACCESS_TOKEN_TTL
+//   refreshToken - "<session id>.<secret>", exchanged at POST /api/auth/refresh for a new
+//                  pair; each refresh token works once
+// Refresh secrets are an HMAC of a random nonce kept with the session, so the session's
+// current secret can be handed out again without being stored.
+// Access tokens are checked against their session on every request, so revoking a
+// session (logout, the sessions API, a password reset) locks it out immediately.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { logger } = require('./logger');
+
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES || '15', 10) * 60;
+const REFRESH_TOKEN_TTL_MS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10) * 24 * 60 * 60 * 1000;
+// Two tabs refreshing at once both present the same token; that is a race, not theft, and
+// the tab that loses it is given the pair the winner got
+const REUSE_GRACE_MS = 30 * 1000;
+// Access tokens from before sessions existed were valid for a day
+const LEGACY_TOKEN_TTL_SECONDS = 24 * 60 * 60;
+// lastSeenAt is written at most this often per session
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+const MAX_USER_AGENT_LENGTH = 256;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret, extra] = refreshToken.split('.');
+  if (!sessionId || !secret || extra !== undefined) return null;
+  return { sessionId, secret };
+}
+
+// Device details recorded with a session, from the request that created or refreshed it
+function describeClient(req) {
+  return {
+    userAgent: (req.get('user-agent') || 'unknown').slice(0, MAX_USER_AGENT_LENGTH),
+    ip: req.ip || null
+  };
+}
+
+// What GET /api/auth/sessions shows for a session
+function toPublicSession(session, currentSessionId) {
+  return {
+    id: session.id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    current: session.id === currentSessionId
+  };
+}
+
+function sessionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function createSessions({ db, secret }) {
+  function refreshSecretFor(nonce) {
+    return crypto.createHmac('sha256', secret).update(`refresh:${nonce}`).digest('base64url');
+  }
+
+  function signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { id: user.id, username: user.username, role: user.role || 'user', sid: sessionId },
+      secret,
+      { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+  }
+
+  function tokens(user, sessionId, refreshSecret) {
+    return {
+      token: signAccessToken(user, sessionId),
+      refreshToken: `${sessionId}.${refreshSecret}`,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+  }
+
+  return {
+    // Start a session for a user who just proved who they are.
+    // Resolves with { token, refreshToken, expiresIn }.
+    async start(user, client) {
+      const refreshNonce = crypto.randomBytes(32).toString('base64url');
+      const refreshSecret = refreshSecretFor(refreshNonce);
+      const now = new Date();
+      const { id } = await db.sessions.create({
+        userId: user.id,
+        refreshTokenHash: hashSecret(refreshSecret),
+        refreshNonce,
+        previousRefreshTokenHash: null,
+        userAgent: client.userAgent,
+        ip: client.ip,
+        createdAt: now,
+        lastSeenAt: now,
+        rotatedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+        revokedAt: null
+      });
+      return tokens(user, id, refreshSecret);
+    },
+
+    // Exchange a refresh token for a new pair. Rejects with error.code
+    // 'INVALID_REFRESH_TOKEN' or 'REFRESH_TOKEN_REUSED'.
+    async refresh(refreshToken, client) {
+      const parsed = parseRefreshToken(refreshToken);
+      if (!parsed) throw sessionError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+
+      const refreshNonce = crypto.randomBytes(32).toString('base64url');
+      const now = new Date();
+      const result = await db.sessions.rotate(parsed.sessionId, hashSecret(parsed.secret), {
+        newTokenHash: hashSecret(refreshSecretFor(refreshNonce)),
+        newNonce: refreshNonce,
+        now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+        reuseGraceMs: REUSE_GRACE_MS
+      });
+      // A tab that lost a refresh race gets the current pair again (sessions started
+      // before nonces were kept can't reproduce it)
+      if (result.raced && !result.session.refreshNonce) {
+        throw sessionError('REFRESH_TOKEN_REUSED', 'Refresh token has already been used');
+      }
+      if (result.error === 'reused') throw sessionError('REFRESH_TOKEN_REUSED', 'Refresh token has already been used');
+      if (result.error) throw sessionError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+      const refreshSecret = refreshSecretFor(result.session.refreshNonce);
+
+      // Re-read the user so role and username changes reach the new access token
+      const user = await db.users.findById(result.session.userId);
+      if (!user) {
+        await db.sessions.revoke(parsed.sessionId, 'user-deleted');
+        throw sessionError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+      }
+      await db.sessions.update(parsed.sessionId, client);
+
+      return tokens(user, parsed.sessionId, refreshSecret);
+    },
+
+    // Verify an access token and resolve with its payload. Rejects with error.code
+    // 'TOKEN_EXPIRED', 'SESSION_REVOKED' or 'INVALID_TOKEN'.
+    async verify(token) {
+      let payload;
+      try {
+        payload = jwt.verify(token, secret);
+      } catch (error) {
+        throw sessionError(error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN', error.message);
+      }
+      // Tokens from before sessions existed have no session to check. They are honoured until
+      // they expire, so upgrading doesn't sign everyone out at once; clients sign in again then.
+      if (!payload.sid) {
+        if (!payload.iat || !payload.exp || payload.exp - payload.iat > LEGACY_TOKEN_TTL_SECONDS) {
+          throw sessionError('INVALID_TOKEN', 'Token has no session');
+        }
+        return payload;
+      }
+
+      const session = await db.sessions.findById(payload.sid);
+      const now = new Date();
+      if (!db.sessions.isActive(session, now) || session.userId !== payload.id) {
+        throw sessionError('SESSION_REVOKED', 'Session has been revoked');
+      }
+
+      if (now - new Date(session.lastSeenAt) > LAST_SEEN_RESOLUTION_MS) {
+        db.sessions.update(session.id, { lastSeenAt: now })
+          .catch(error => logger.error('Error updating session last seen', error));
+      }
+
+      return payload;
+    },
+
+    // Revoke the session a refresh token belongs to, if the token is genuine
+    async revokeByRefreshToken(refreshToken) {
+      const parsed = parseRefreshToken(refreshToken);
+      if (!parsed) return null;
+      const session = await db.sessions.findById(parsed.sessionId);
+      if (!db.sessions.isActive(session) || session.refreshTokenHash !== hashSecret(parsed.secret)) return null;
+      await db.sessions.revoke(session.id);
+      return session;
+    }
+  };
+}
+
+module.exports = { createSessions, describeClient, toPublicSession, ACCESS_TOKEN_TTL_SECONDS };
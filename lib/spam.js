@@ -0,0 +1,101 @@
+// Spam heuristics for new comments.
+//
+// A comment that trips any of these is held: stored hidden with held: true until a
+// moderator approves it (POST /api/moderation/comments/:id/approve) or purges it.
+//   duplicate - the author posted the same text in the last DUPLICATE_WINDOW_MS
+//   links     - more than MAX_LINKS links, or mostly links
+//   new-account-links - links from an account younger than NEW_ACCOUNT_AGE_MS
+//   blocklist - a word from SPAM_BLOCKED_WORDS or a link to SPAM_BLOCKED_DOMAINS
+// New accounts can also only post NEW_ACCOUNT_MAX_COMMENTS an hour; past that the
+// comment is refused outright. Moderators skip every check.
+const { isModerator } = require('./moderation');
+
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const DUPLICATE_LOOKBACK = 20; // recent comments compared against
+const MAX_LINKS = 3;
+const MAX_LINK_RATIO = 0.3; // links per word, once there are at least two
+const NEW_ACCOUNT_AGE_MS = 24 * 60 * 60 * 1000;
+const NEW_ACCOUNT_MAX_COMMENTS = parseInt(process.env.SPAM_NEW_ACCOUNT_MAX_COMMENTS || '5', 10);
+const NEW_ACCOUNT_WINDOW_MS = 60 * 60 * 1000;
+const LINK_PATTERN = /\bhttps?:\/\/[^\s<>()"'\]]+|\bwww\.[^\s<>()"'\]]+/gi;
+
+function readList(value) {
+  return (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalizeText(text) {
+  return String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function linkHost(link) {
+  try {
+    return new URL(/^https?:\/\//i.test(link) ? link : `http://${link}`).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+function createSpamChecker({ db, limitStore, env = process.env }) {
+  const blockedWords = readList(env.SPAM_BLOCKED_WORDS);
+  const blockedDomains = readList(env.SPAM_BLOCKED_DOMAINS);
+  const blockedWordPattern = blockedWords.length
+    ? new RegExp(`(^|[^\\p{L}\\p{N}])(${blockedWords.map(escapeRegExp).join('|')})(?=$|[^\\p{L}\\p{N}])`, 'iu')
+    : null;
+
+  async function isDuplicate(text, authorId, now) {
+    const recent = await db.comments.listByAuthor(authorId, { limit: DUPLICATE_LOOKBACK });
+    const normalized = normalizeText(text);
+    return recent.some(comment => !comment.deleted
+      && now - new Date(comment.timestamp) < DUPLICATE_WINDOW_MS
+      && normalizeText(comment.rawText) === normalized);
+  }
+
+  return {
+    // Check a comment about to be posted by user (the stored user record). Resolves with
+    //   { held: false } | { held: true, reasons } | { limited: true, retryAfter, error }
+    async check(text, user, now = new Date()) {
+      if (isModerator(user)) return { held: false };
+
+      const isNewAccount = !user.createdAt || now - new Date(user.createdAt) < NEW_ACCOUNT_AGE_MS;
+      if (isNewAccount) {
+        const { count, resetAt } = await limitStore.hit(`spam:new-account:${user.id}`, NEW_ACCOUNT_WINDOW_MS);
+        if (count > NEW_ACCOUNT_MAX_COMMENTS) {
+          return {
+            limited: true,
+            retryAfter: Math.ceil((resetAt.getTime() - now.getTime()) / 1000),
+            error: `New accounts can post ${NEW_ACCOUNT_MAX_COMMENTS} comments per hour`
+          };
+        }
+      }
+
+      const reasons = [];
+      const links = String(text).match(LINK_PATTERN) || [];
+      const words = String(text).split(/\s+/).filter(Boolean).length;
+
+      if (links.length > MAX_LINKS || (links.length >= 2 && links.length / words > MAX_LINK_RATIO)) {
+        reasons.push('links');
+      }
+      if (isNewAccount && links.length) {
+        reasons.push('new-account-links');
+      }
+
+      const hosts = links.map(linkHost).filter(Boolean);
+      if ((blockedWordPattern && blockedWordPattern.test(text))
+        || hosts.some(host => blockedDomains.some(domain => host === domain || host.endsWith(`.${domain}`)))) {
+        reasons.push('blocklist');
+      }
+
+      if (await isDuplicate(text, user.id, now)) {
+        reasons.push('duplicate');
+      }
+
+      return reasons.length ? { held: true, reasons } : { held: false };
+    }
+  };
+}
+
+module.exports = { createSpamChecker };
@@ -0,0 +1,226 @@
+// Declarative request validation. A route describes the body, query and path
+// parameters it accepts as JSON Schema (the subset OpenAPI 3.0 understands) and
+// validate() checks a request against them before the handler runs:
+//
+//   router.post('/api/things', authenticateToken, validate({
+//     body: object({ name: { type: 'string', minLength: 1, maxLength: 80 } }, ['name'])
+//   }), handler);
+//
+// Query and path values arrive as strings; integers, numbers and booleans among them
+// are converted, and defaults are filled in for the body and query, so handlers read
+// typed values. Fields a schema doesn't list are passed through untouched.
+//
+// A request that doesn't match gets a 400 in the shared error envelope:
+//   { error: '<message>', code: 'VALIDATION_FAILED', details: [{ in, field, message }] }
+// The same schemas describe each route in GET /api/openapi.json (see lib/openapi.js).
+
+const MAX_URL_LENGTH = 2048;
+
+// Reusable field schemas
+const PAGE_URL = {
+  type: 'string',
+  format: 'page-url',
+  minLength: 1,
+  maxLength: MAX_URL_LENGTH,
+  description: 'Page URL; stored in its canonical form'
+};
+const CURSOR = { type: 'string', minLength: 1, maxLength: 2048, description: 'nextCursor from the previous page' };
+const ID = { type: 'string', minLength: 1, maxLength: 128 };
+
+const FORMATS = {
+  // Absolute http(s) URL, or one without its scheme whose host has a dot ("example.com/page").
+  // Bare words like "notaurl" are rejected.
+  'page-url': (value) => !/\s/.test(value) && (isHttpUrl(value) || hasDottedHost(`https://${value}`)),
+  uri: (value) => isHttpUrl(value),
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  'date-time': (value) => !isNaN(new Date(value))
+};
+
+const FORMAT_MESSAGES = {
+  'page-url': 'must be a page URL',
+  uri: 'must be an absolute http(s) URL',
+  email: 'must be an email address',
+  'date-time': 'must be an ISO 8601 date'
+};
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function hasDottedHost(value) {
+  try {
+    const { hostname } = new URL(value);
+    return /^[^.]+(\.[^.]+)+\.?$/.test(hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+// An object schema from its properties and the names of those that are required
+function object(properties, required = []) {
+  return required.length ? { type: 'object', properties, required } : { type: 'object', properties };
+}
+
+// A ?limit= parameter for a listing paged by { default, max }
+function pageSize({ default: fallback, max }) {
+  return { type: 'integer', minimum: 1, maximum: max, default: fallback };
+}
+
+// Query and path values are strings; turn them into what the schema expects where possible
+function coerce(schema, value) {
+  if (typeof value !== 'string') return value;
+  if (schema.type === 'integer' && /^-?\d+$/.test(value)) return Number(value);
+  if (schema.type === 'number' && value.trim() && !isNaN(Number(value))) return Number(value);
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+function describeType(type) {
+  return type === 'integer' || type === 'object' ? `an ${type}` : `a ${type}`;
+}
+
+function hasType(schema, value) {
+  switch (schema.type) {
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+// Check a value against a schema. Returns { value, errors } where value has
+// defaults filled in and errors is a list of { field, message }.
+function check(schema, value, field, options) {
+  const errors = [];
+  const fail = (message) => ({ value, errors: [{ field, message }] });
+
+  if (value === null) {
+    return schema.nullable ? { value, errors } : fail('must not be null');
+  }
+
+  if (schema.anyOf) {
+    const match = schema.anyOf.map(option => check(option, value, field, options)).find(result => !result.errors.length);
+    return match || fail(schema.description ? `must be ${schema.description}` : 'is not in an accepted format');
+  }
+
+  if (options.coerce) value = coerce(schema, value);
+  if (options.coerce && Array.isArray(value) && schema.type !== 'array') return fail('must be given once');
+  if (!hasType(schema, value)) return fail(`must be ${describeType(schema.type)}`);
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.type === 'string') {
+    if (schema.minLength === 1 && !value.length) return fail('must not be empty');
+    if (schema.minLength !== undefined && value.length < schema.minLength) return fail(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail(`must match ${schema.pattern}`);
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) return fail(FORMAT_MESSAGES[schema.format]);
+  }
+
+  if (schema.type === 'integer' || schema.type === 'number') {
+    if (schema.minimum !== undefined) {
+      if (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum) {
+        return fail(`must be ${schema.exclusiveMinimum ? 'greater than' : 'at least'} ${schema.minimum}`);
+      }
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems === 1 && !value.length) return fail('must not be empty');
+    if (schema.minItems !== undefined && value.length < schema.minItems) return fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      const items = value.map((item, index) => {
+        const result = check(schema.items, item, `${field}[${index}]`, options);
+        errors.push(...result.errors);
+        return result.value;
+      });
+      value = items;
+    }
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    const result = { ...value };
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push({ field: field ? `${field}.${name}` : name, message: 'is required' });
+    }
+    for (const [name, property] of Object.entries(schema.properties)) {
+      if (value[name] === undefined) {
+        if (property.default !== undefined && options.defaults) result[name] = property.default;
+        continue;
+      }
+      const checked = check(property, value[name], field ? `${field}.${name}` : name, options);
+      errors.push(...checked.errors);
+      result[name] = checked.value;
+    }
+    value = result;
+  }
+
+  return { value, errors };
+}
+
+// Send a 400 in the shared envelope for a list of { in, field, message }
+function sendValidationError(res, details) {
+  const message = details.map(detail => (detail.field ? `${detail.field} ${detail.message}` : detail.message)).join('; ');
+  return res.status(400).json({ error: message, code: 'VALIDATION_FAILED', details });
+}
+
+const PARTS = [
+  ['params', { coerce: true, defaults: false }],
+  ['query', { coerce: true, defaults: true }],
+  ['body', { coerce: false, defaults: true }]
+];
+
+// Middleware checking req.params, req.query and req.body against { params, query, body }
+// object schemas. The checked query and body (with defaults) replace the originals.
+function validate(schemas) {
+  const middleware = (req, res, next) => {
+    const details = [];
+
+    for (const [part, options] of PARTS) {
+      if (!schemas[part]) continue;
+
+      const input = req[part] === undefined ? {} : req[part];
+      if (part === 'body' && schemas.body.type === 'object' && !hasType(schemas.body, input)) {
+        details.push({ in: 'body', field: '', message: 'Request body must be a JSON object' });
+        continue;
+      }
+
+      const { value, errors } = check(schemas[part], input, '', options);
+      details.push(...errors.map(error => ({ in: part, ...error })));
+      if (part !== 'params') req[part] = value;
+    }
+
+    if (details.length) {
+      return sendValidationError(res, details);
+    }
+    next();
+  };
+
+  // Read by lib/openapi.js
+  middleware.schemas = schemas;
+  return middleware;
+}
+
+// Error middleware answering malformed or oversized JSON bodies in the same envelope
+function handleBodyErrors(error, req, res, next) {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body is too large', code: 'PAYLOAD_TOO_LARGE' });
+  }
+  next(error);
+}
+
+module.exports = { validate, object, pageSize, sendValidationError, handleBodyErrors, PAGE_URL, CURSOR, ID, MAX_URL_LENGTH };
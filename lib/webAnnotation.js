@@ -0,0 +1,166 @@
+// Conversion between comments and the W3C Web Annotation Data Model (JSON-LD)
+// https://www.w3.org/TR/annotation-model/
+const { parseTarget } = require('./anchors');
+
+const ANNOTATION_CONTEXT = 'http://www.w3.org/ns/anno.jsonld';
+const CONTENT_TYPE = `application/ld+json; profile="${ANNOTATION_CONTEXT}"`;
+const MAX_IMPORT_ANNOTATIONS = 500;
+
+function annotationIri(baseUrl, commentId) {
+  return `${baseUrl}/api/annotations/${encodeURIComponent(commentId)}`;
+}
+
+function toIsoString(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+// Comment -> Annotation. Replies target the annotation they reply to.
+function toAnnotation(comment, baseUrl) {
+  const annotation = {
+    '@context': ANNOTATION_CONTEXT,
+    id: annotationIri(baseUrl, comment.id),
+    type: 'Annotation',
+    motivation: comment.parentId ? 'replying' : 'commenting',
+    created: toIsoString(comment.timestamp),
+    creator: {
+      type: 'Person',
+      name: comment.authorName
+    },
+    body: [
+      { type: 'TextualBody', value: comment.rawText, format: 'text/markdown', purpose: comment.parentId ? 'replying' : 'commenting' },
+      { type: 'TextualBody', value: comment.text, format: 'text/html' }
+    ]
+  };
+
+  if (comment.editedAt) {
+    annotation.modified = toIsoString(comment.editedAt);
+  }
+
+  if (comment.parentId) {
+    annotation.target = annotationIri(baseUrl, comment.parentId);
+  } else if (comment.target) {
+    annotation.target = { source: comment.url, selector: comment.target.selector };
+  } else {
+    annotation.target = comment.url;
+  }
+
+  return annotation;
+}
+
+function toAnnotationCollection(comments, { id, label, baseUrl }) {
+  const items = comments.map(comment => {
+    const { '@context': _context, ...annotation } = toAnnotation(comment, baseUrl);
+    return annotation;
+  });
+
+  return {
+    '@context': ANNOTATION_CONTEXT,
+    id,
+    type: 'AnnotationCollection',
+    label,
+    total: items.length,
+    first: {
+      id: `${id}#page1`,
+      type: 'AnnotationPage',
+      startIndex: 0,
+      items
+    }
+  };
+}
+
+// Accepts an AnnotationCollection, an AnnotationPage, an array or a single Annotation
+function extractAnnotations(payload) {
+  if (Array.isArray(payload)) return payload;
+  if (!payload || typeof payload !== 'object') return null;
+  if (payload.type === 'AnnotationCollection') {
+    return (payload.first && payload.first.items) || payload.items || [];
+  }
+  if (payload.type === 'AnnotationPage') return payload.items || [];
+  if (payload.type === 'Annotation') return [payload];
+  return null;
+}
+
+function hasType(value, type) {
+  return Array.isArray(value) ? value.includes(type) : value === type;
+}
+
+function pickBodyText(body) {
+  const bodies = (Array.isArray(body) ? body : [body]).filter(Boolean);
+  const textual = bodies
+    .map(item => (typeof item === 'string' ? { type: 'TextualBody', value: item } : item))
+    .filter(item => hasType(item.type, 'TextualBody') && typeof item.value === 'string' && item.value.trim());
+
+  // Prefer the markdown/plain source over a rendered HTML copy
+  const preferred = textual.find(item => item.format !== 'text/html') || textual[0];
+  return preferred ? preferred.value : null;
+}
+
+function parseDate(value) {
+  if (value === undefined) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// Validate a single incoming Annotation. Returns { annotation } or { error }.
+// The parsed form is { id, parentRef, url, target, rawText, created, modified, creatorName }.
+function parseAnnotation(input) {
+  if (!input || typeof input !== 'object' || !hasType(input.type, 'Annotation')) {
+    return { error: 'type must be "Annotation"' };
+  }
+
+  const rawText = pickBodyText(input.body);
+  if (!rawText) {
+    return { error: 'body must contain a TextualBody with a value' };
+  }
+
+  const created = parseDate(input.created);
+  const modified = parseDate(input.modified);
+  if (created === undefined || modified === undefined) {
+    return { error: 'created and modified must be valid dates' };
+  }
+
+  const rawTarget = Array.isArray(input.target) ? input.target[0] : input.target;
+  const replying = hasType(input.motivation, 'replying');
+  const parsed = {
+    id: typeof input.id === 'string' ? input.id : null,
+    rawText,
+    created,
+    modified,
+    creatorName: input.creator && typeof input.creator === 'object' ? input.creator.name || input.creator.nickname || null : null,
+    parentRef: null,
+    url: null,
+    target: null
+  };
+
+  if (typeof rawTarget === 'string' && rawTarget) {
+    // A bare IRI is a page, unless the annotation is a reply to another annotation
+    if (replying) parsed.parentRef = rawTarget;
+    else parsed.url = rawTarget;
+  } else if (rawTarget && typeof rawTarget === 'object' && typeof rawTarget.source === 'string') {
+    if (replying) {
+      parsed.parentRef = rawTarget.source;
+    } else if (rawTarget.selector) {
+      const { target, error } = parseTarget(rawTarget, rawTarget.source);
+      if (error) return { error };
+      parsed.url = rawTarget.source;
+      parsed.target = target;
+    } else {
+      parsed.url = rawTarget.source;
+    }
+  } else {
+    return { error: 'target must be an IRI or an object with a source' };
+  }
+
+  return { annotation: parsed };
+}
+
+module.exports = {
+  ANNOTATION_CONTEXT,
+  CONTENT_TYPE,
+  MAX_IMPORT_ANNOTATIONS,
+  annotationIri,
+  toAnnotation,
+  toAnnotationCollection,
+  extractAnnotations,
+  parseAnnotation
+};
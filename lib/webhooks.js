@@ -0,0 +1,398 @@
+// Outgoing webhooks. Comment activity is matched against webhook subscriptions, stored
+// as deliveries in the webhookDeliveries collection and POSTed by a background worker
+// that retries failures with exponential backoff - the same shape as lib/mailer.js.
+//
+// Events:
+//   comment.created { comment }
+//   comment.edited  { comment }
+//   comment.deleted { commentId, url, workspaceId, tombstoned, purgedIds }
+//   comment.voted   { commentId, url, workspaceId, upvotes, downvotes, score }
+//   mention         { comment, mentionedUser: { id, username } }
+//   ping            { webhookId } - only sent by POST /api/webhooks/:id/ping
+//
+// A personal webhook sees public comments and mentions of its owner; a workspace
+// webhook sees that workspace's comments and the mentions in them. Either can narrow
+// that down with domains ("example.com", "*.example.com") and urls (canonical page
+// URLs, "*" matching anything) - a comment passes if it matches any of them.
+//
+// Every request carries X-Webhook-Event, X-Webhook-Delivery and
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" keyed by the secret>
+// Any 2xx response counts as delivered.
+//
+// Unless WEBHOOK_ALLOW_PRIVATE_URLS is on, receivers must be public: the URL is checked
+// when a webhook is saved, and on every attempt the worker only connects to addresses
+// its host resolves to if none of them is loopback, private, link-local, CGNAT or
+// unique-local (IPv4-mapped IPv6 addresses count as the IPv4 address they map to).
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { domainOf } = require('./search');
+const { logger } = require('./logger');
+
+const WEBHOOK_EVENTS = ['comment.created', 'comment.edited', 'comment.deleted', 'comment.voted', 'mention'];
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 30 * 1000; // 30 seconds, then 1, 2, 4 and 8 minutes between attempts
+const SEND_LEASE_MS = 2 * 60 * 1000;
+const POLL_INTERVAL_MS = 15 * 1000;
+const BATCH_SIZE = 20;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_RESPONSE_BODY = 2000; // characters of the receiver's response kept in the log
+
+const COMMENT_FIELDS = [
+  'id', 'url', 'parentId', 'threadId', 'workspaceId', 'authorId', 'authorName', 'text', 'rawText',
+  'timestamp', 'editedAt', 'revisionCount', 'upvotes', 'downvotes', 'target', 'quote'
+];
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Addresses a webhook may not reach unless WEBHOOK_ALLOW_PRIVATE_URLS is on
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+// BlockList matches IPv4-mapped IPv6 addresses against the IPv4 ranges too
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+}
+
+// dns.lookup() for outgoing deliveries that refuses hosts resolving to a private address.
+// Connections use the addresses checked here, so the answer can't change in between.
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(`${hostname} resolves to a private or local address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POST a body and resolve with { status, body }, keeping at most MAX_RESPONSE_BODY
+// characters of the response. Redirects are not followed.
+function post(url, { headers, body, lookup }) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    }, (response) => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        if (text.length < MAX_RESPONSE_BODY) text += chunk;
+      });
+      response.on('end', () => resolve({ status: response.statusCode, body: text.slice(0, MAX_RESPONSE_BODY) }));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// Check a receiver URL: an error message, or null when it is acceptable
+function checkTargetUrl(value, { allowPrivate }) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'url must be an absolute http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return 'url must be an absolute http(s) URL';
+  if (!allowPrivate && isPrivateHost(url.hostname)) return 'url must not point at a private or local address';
+  return null;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function matchesDomain(pattern, host) {
+  if (pattern.startsWith('*.')) return host.endsWith(pattern.slice(1));
+  return host === pattern || host.endsWith(`.${pattern}`);
+}
+
+function matchesUrl(pattern, url) {
+  return new RegExp(`^${pattern.split('*').map(escapeRegExp).join('.*')}$`).test(url);
+}
+
+// Does a page URL pass a webhook's domain and URL filters?
+function matchesFilters(webhook, url) {
+  const domains = webhook.domains || [];
+  const urls = webhook.urls || [];
+  if (!domains.length && !urls.length) return true;
+
+  const host = domainOf(url) || domainOf(`https://${url}`);
+  return (Boolean(host) && domains.some(pattern => matchesDomain(pattern, host)))
+    || urls.some(pattern => matchesUrl(pattern, url));
+}
+
+// Would a webhook receive an event about a comment? scope is { url, workspaceId, mentionedUserId }
+function isInScope(webhook, event, scope) {
+  if (webhook.workspaceId) {
+    if (webhook.workspaceId !== scope.workspaceId) return false;
+  } else if (event === 'mention') {
+    if (scope.mentionedUserId !== webhook.ownerId) return false;
+  } else if (scope.workspaceId) {
+    return false;
+  }
+  return matchesFilters(webhook, scope.url);
+}
+
+// The comment as webhooks see it; internal fields (sort keys, moderation state) stay behind
+function toWebhookComment(comment) {
+  const fields = {};
+  for (const field of COMMENT_FIELDS) {
+    if (comment[field] !== undefined) fields[field] = comment[field];
+  }
+  fields.workspaceId = comment.workspaceId || null;
+  return fields;
+}
+
+// A webhook as the API shows it; the secret is only returned when it is issued
+function toPublicWebhook({ secret, ...webhook }) {
+  return webhook;
+}
+
+// allowPrivateUrls lets deliveries reach localhost and private networks (WEBHOOK_ALLOW_PRIVATE_URLS)
+function createWebhookDispatcher({ db, allowPrivateUrls = false, env = process.env }) {
+  const userAgent = env.WEBHOOK_USER_AGENT || 'WebAnnotator-Webhooks/1.0';
+  let timer = null;
+  let running = null;
+  let rerun = false;
+
+  // Try one queued delivery; on failure schedule the next attempt or give up
+  async function deliver(queued, now) {
+    const delivery = await db.webhookDeliveries.claim(queued.id, now, SEND_LEASE_MS);
+    if (!delivery) return;
+
+    const webhook = await db.webhooks.findById(delivery.webhookId);
+    if (!webhook || !webhook.active) {
+      await db.webhookDeliveries.update(delivery.id, {
+        status: 'failed',
+        lastError: webhook ? 'Webhook is disabled' : 'Webhook was deleted'
+      });
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    let responseStatus = null;
+    let responseBody = null;
+
+    try {
+      // Checked again on every attempt: the URL may predate the rules, and its host's DNS can change
+      const urlError = checkTargetUrl(webhook.url, { allowPrivate: allowPrivateUrls });
+      if (urlError) {
+        throw new Error(urlError);
+      }
+
+      const response = await post(webhook.url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': userAgent,
+          'X-Webhook-Id': webhook.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`
+        },
+        body,
+        lookup: allowPrivateUrls ? undefined : publicOnlyLookup
+      });
+      responseStatus = response.status;
+      responseBody = response.body;
+
+      if (responseStatus < 200 || responseStatus >= 300) {
+        throw new Error(`Receiver responded with ${response.status}`);
+      }
+
+      await db.webhookDeliveries.update(delivery.id, {
+        status: 'delivered',
+        deliveredAt: new Date(),
+        responseStatus,
+        responseBody,
+        durationMs: Date.now() - started,
+        lastError: null
+      });
+    } catch (error) {
+      const failed = delivery.attempts >= MAX_ATTEMPTS;
+      logger.error('Error delivering webhook', { webhookId: webhook.id, deliveryId: delivery.id, event: delivery.event, attempt: delivery.attempts, error: error.message });
+      await db.webhookDeliveries.update(delivery.id, {
+        responseStatus,
+        responseBody,
+        durationMs: Date.now() - started,
+        lastError: error.message,
+        ...(failed
+          ? { status: 'failed' }
+          : { nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS * 2 ** (delivery.attempts - 1)) })
+      });
+    }
+  }
+
+  // Send everything that is due. Calls made during a run share it, and make it
+  // look again at the end so deliveries queued meanwhile aren't left for the next poll.
+  function processQueue() {
+    if (running) {
+      rerun = true;
+    } else {
+      running = (async () => {
+        try {
+          let batch;
+          do {
+            rerun = false;
+            const now = new Date();
+            batch = await db.webhookDeliveries.findDue(now, BATCH_SIZE);
+            for (const queued of batch) {
+              await deliver(queued, now);
+            }
+          } while (batch.length === BATCH_SIZE || rerun);
+        } catch (error) {
+          logger.error('Error processing webhook deliveries', error);
+        } finally {
+          running = null;
+        }
+      })();
+    }
+    return running;
+  }
+
+  // Queue one delivery of an event to a webhook. The payload is stored exactly as it
+  // will be sent, so a redelivery sends the same body.
+  async function enqueue(webhook, event, data, { redeliveryOf = null, eventId = crypto.randomUUID(), createdAt = new Date() } = {}) {
+    const payload = JSON.parse(JSON.stringify({ id: eventId, event, createdAt, data }));
+    const delivery = await db.webhookDeliveries.create({
+      webhookId: webhook.id,
+      event,
+      payload,
+      redeliveryOf,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      lastError: null,
+      responseStatus: null,
+      createdAt: new Date()
+    });
+    // Don't wait for the next poll; failures are retried by the worker
+    if (timer) processQueue();
+    return delivery;
+  }
+
+  // Queue an event for every webhook it is in scope for. Never throws: webhooks must
+  // not fail the request that caused the event.
+  async function emit(event, data, scope) {
+    try {
+      const webhooks = (await db.webhooks.listActiveForEvent(event)).filter(webhook => isInScope(webhook, event, scope));
+      if (!webhooks.length) return;
+
+      const eventId = crypto.randomUUID();
+      const createdAt = new Date();
+      await Promise.all(webhooks.map(webhook => enqueue(webhook, event, data, { eventId, createdAt })));
+    } catch (error) {
+      logger.error('Error queueing webhooks', { event, error });
+    }
+  }
+
+  const scopeOf = (comment) => ({ url: comment.url, workspaceId: comment.workspaceId || null });
+
+  return {
+    // comment.created / comment.edited for a visible comment
+    commentEvent(event, comment) {
+      if (comment.hidden) return Promise.resolve();
+      return emit(event, { comment: toWebhookComment(comment) }, scopeOf(comment));
+    },
+
+    commentDeleted(comment, { tombstoned, purgedIds }) {
+      return emit('comment.deleted', {
+        commentId: comment.id,
+        url: comment.url,
+        workspaceId: comment.workspaceId || null,
+        tombstoned,
+        purgedIds
+      }, scopeOf(comment));
+    },
+
+    commentVoted(comment, { upvotes, downvotes, score }) {
+      if (comment.hidden) return Promise.resolve();
+      return emit('comment.voted', {
+        commentId: comment.id,
+        url: comment.url,
+        workspaceId: comment.workspaceId || null,
+        upvotes,
+        downvotes,
+        score
+      }, scopeOf(comment));
+    },
+
+    mention(comment, user) {
+      return emit('mention', {
+        comment: toWebhookComment(comment),
+        mentionedUser: { id: user.id, username: user.username }
+      }, { ...scopeOf(comment), mentionedUserId: user.id });
+    },
+
+    // A ping delivery to check a receiver, whatever events the webhook is subscribed to
+    ping: (webhook) => enqueue(webhook, 'ping', { webhookId: webhook.id }),
+
+    // Send a logged delivery's payload again as a new delivery
+    redeliver: (webhook, delivery) => enqueue(webhook, delivery.event, delivery.payload.data, {
+      redeliveryOf: delivery.id,
+      eventId: delivery.payload.id,
+      createdAt: delivery.payload.createdAt
+    }),
+
+    processQueue,
+
+    // Poll the queue in the background until stop()
+    start(intervalMs = POLL_INTERVAL_MS) {
+      if (timer) return;
+      timer = setInterval(processQueue, intervalMs);
+      timer.unref();
+      processQueue();
+    },
+
+    async stop() {
+      clearInterval(timer);
+      timer = null;
+      await running;
+    }
+  };
+}
+
+// Remove a webhook along with its delivery log
+async function deleteWebhook(db, webhook) {
+  await db.webhookDeliveries.deleteForWebhook(webhook.id);
+  await db.webhooks.delete(webhook.id);
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  createWebhookDispatcher,
+  deleteWebhook,
+  generateSecret,
+  signPayload,
+  checkTargetUrl,
+  toPublicWebhook
+};
@@ -0,0 +1,39 @@
+// Private team workspaces.
+//
+// A comment's workspaceId is null for public comments, or the workspace it was
+// posted to; replies always share their thread's workspace. Only members can see a
+// workspace's comments, be notified about them or be mentioned in them.
+//
+// Workspace roles are ordered like site roles:
+//   member - read and post
+//   admin  - also rename the workspace, invite and remove members
+//   owner  - also change roles and delete the workspace (exactly one per workspace)
+
+const WORKSPACE_ROLES = ['member', 'admin', 'owner'];
+const PUBLIC_VISIBILITY = 'public';
+
+function hasWorkspaceRole(membership, role) {
+  if (!membership) return false;
+  return WORKSPACE_ROLES.indexOf(membership.role) >= WORKSPACE_ROLES.indexOf(role);
+}
+
+// A comment's visibility as the API shows it: "public" or the workspace id
+function visibilityOf(comment) {
+  return comment.workspaceId || PUBLIC_VISIBILITY;
+}
+
+// Can viewer see a comment? Resolves true for public comments and for members of its workspace.
+async function canAccessComment(db, comment, viewer) {
+  if (!comment.workspaceId) return true;
+  if (!viewer) return false;
+  return Boolean(await db.workspaceMembers.find(comment.workspaceId, viewer.id));
+}
+
+// Ids of the workspaces a viewer belongs to (empty for anonymous viewers)
+async function workspaceIdsOf(db, viewer) {
+  if (!viewer) return new Set();
+  const memberships = await db.workspaceMembers.listForUser(viewer.id);
+  return new Set(memberships.map(membership => membership.workspaceId));
+}
+
+module.exports = { WORKSPACE_ROLES, PUBLIC_VISIBILITY, hasWorkspaceRole, visibilityOf, canAccessComment, workspaceIdsOf };
@@ -0,0 +1,90 @@
+const { SORT_ORDERS, REPLY_ORDER } = require('../lib/ranking');
+
+// Comments repository.
+// Top-level comments have parentId and threadId null; every reply carries the
+// threadId of the top-level comment it ultimately belongs to.
+function createCommentRepository(store) {
+  const collection = store.collection('comments');
+
+  return {
+    findById: (id) => collection.get(id),
+    findAll: () => collection.find(),
+    count: () => collection.count(),
+
+    // All comments for a page, newest first
+    findByUrl: (url) => collection.find({
+      where: [['url', '==', url]],
+      orderBy: [['timestamp', 'desc']]
+    }),
+
+    // Annotations on a page anchored to a given quoted passage, oldest first
+    findByQuote: (url, quote) => collection.find({
+      where: [['url', '==', url], ['quote', '==', quote]],
+      orderBy: [['timestamp', 'asc']]
+    }),
+
+    // All comments written by a user, newest first
+    findByAuthor: (authorId) => collection.find({
+      where: [['authorId', '==', authorId]],
+      orderBy: [['timestamp', 'desc']]
+    }),
+
+    // One page of top-level comments on a page, public (workspaceId null) or in one
+    // workspace; orderBy comes from SORT_ORDERS
+    listThreads: (url, { workspaceId = null, orderBy, limit, startAfter }) => collection.find({
+      where: [['url', '==', url], ['workspaceId', '==', workspaceId], ['parentId', '==', null]],
+      orderBy,
+      limit,
+      startAfter
+    }),
+
+    countThreads: (url, workspaceId = null) => collection.count({
+      where: [['url', '==', url], ['workspaceId', '==', workspaceId], ['parentId', '==', null]]
+    }),
+    countByUrl: (url, workspaceId = null) => collection.count({ where: [['url', '==', url], ['workspaceId', '==', workspaceId]] }),
+
+    // Top-level comments posted to a workspace, on any page
+    listWorkspaceThreads: (workspaceId) => collection.find({
+      where: [['workspaceId', '==', workspaceId], ['parentId', '==', null]]
+    }),
+
+    // Replies at any depth beneath a top-level comment, oldest first
+    listThreadReplies: (threadId, { limit, startAfter } = {}) => collection.find({
+      where: [['threadId', '==', threadId]],
+      orderBy: REPLY_ORDER,
+      limit,
+      startAfter
+    }),
+
+    // One page of a user's comments across all pages, newest first
+    listByAuthor: (authorId, { limit, startAfter } = {}) => collection.find({
+      where: [['authorId', '==', authorId]],
+      orderBy: SORT_ORDERS.new,
+      limit,
+      startAfter
+    }),
+
+    countByAuthor: (authorId) => collection.count({ where: [['authorId', '==', authorId]] }),
+
+    // Comments held by the spam checks, oldest first
+    listHeld: (limit) => collection.find({
+      where: [['held', '==', true]],
+      orderBy: [['timestamp', 'asc']],
+      limit
+    }),
+
+    findReplies: (parentId) => collection.find({ where: [['parentId', '==', parentId]] }),
+
+    async hasReplies(parentId) {
+      const [reply] = await collection.find({ where: [['parentId', '==', parentId]], limit: 1 });
+      return Boolean(reply);
+    },
+
+    create: (data) => collection.add(data),
+    createWithId: (id, data) => collection.set(id, data),
+    update: (id, patch) => collection.update(id, patch),
+    delete: (id) => collection.delete(id)
+  };
+}
+
+module.exports = { createCommentRepository };
@@ -0,0 +1,34 @@
+// Email queue repository - outgoing messages waiting to be sent (see lib/mailer.js).
+// status is 'pending', 'sent' or 'failed'; nextAttemptAt is when a pending message is next due.
+function createEmailQueueRepository(store) {
+  const collection = store.collection('emailQueue');
+
+  return {
+    findById: (id) => collection.get(id),
+    create: (data) => collection.add(data),
+    update: (id, patch) => collection.update(id, patch),
+
+    // Pending messages that are due, oldest first
+    findDue: (now, limit) => collection.find({
+      where: [['status', '==', 'pending'], ['nextAttemptAt', '<=', now]],
+      orderBy: [['nextAttemptAt', 'asc']],
+      limit
+    }),
+
+    // Take a lease on a message so only one worker sends it: counts the attempt and
+    // pushes nextAttemptAt past the lease. Resolves with the message, or null if it
+    // was sent or claimed elsewhere in the meantime.
+    claim(id, now, leaseMs) {
+      return store.runTransaction(async (tx) => {
+        const message = await tx.get('emailQueue', id);
+        if (!message || message.status !== 'pending' || message.nextAttemptAt > now) return null;
+
+        const patch = { attempts: (message.attempts || 0) + 1, nextAttemptAt: new Date(now.getTime() + leaseMs) };
+        tx.update('emailQueue', id, patch);
+        return { ...message, ...patch };
+      });
+    }
+  };
+}
+
+module.exports = { createEmailQueueRepository };
@@ -0,0 +1,51 @@
+const { createUserRepository } = require('./users');
+const { createCommentRepository } = require('./comments');
+const { createVoteRepository } = require('./votes');
+const { createNotificationRepository } = require('./notifications');
+const { createPasswordResetTokenRepository } = require('./passwordResetTokens');
+const { createReportRepository } = require('./reports');
+const { createModerationLogRepository } = require('./moderationLog');
+const { createRevisionRepository } = require('./revisions');
+const { createSearchIndexRepository } = require('./searchIndex');
+const { createSearchResultRepository } = require('./searchResults');
+const { createSubscriptionRepository } = require('./subscriptions');
+const { createEmailQueueRepository } = require('./emailQueue');
+const { createSessionRepository } = require('./sessions');
+const { createRateLimitRepository } = require('./rateLimits');
+const { createReactionRepository } = require('./reactions');
+const { createWorkspaceRepository } = require('./workspaces');
+const { createWorkspaceMemberRepository } = require('./workspaceMembers');
+const { createWorkspaceInviteRepository } = require('./workspaceInvites');
+const { createPageStatsRepository } = require('./pageStats');
+const { createWebhookRepository } = require('./webhooks');
+const { createWebhookDeliveryRepository } = require('./webhookDeliveries');
+
+// Build every repository on top of a single storage backend (see storage/index.js)
+function createRepositories(store) {
+  return {
+    store,
+    users: createUserRepository(store),
+    comments: createCommentRepository(store),
+    votes: createVoteRepository(store),
+    notifications: createNotificationRepository(store),
+    passwordResetTokens: createPasswordResetTokenRepository(store),
+    reports: createReportRepository(store),
+    moderationLog: createModerationLogRepository(store),
+    revisions: createRevisionRepository(store),
+    searchIndex: createSearchIndexRepository(store),
+    searchResults: createSearchResultRepository(store),
+    subscriptions: createSubscriptionRepository(store),
+    emailQueue: createEmailQueueRepository(store),
+    sessions: createSessionRepository(store),
+    rateLimits: createRateLimitRepository(store),
+    reactions: createReactionRepository(store),
+    workspaces: createWorkspaceRepository(store),
+    workspaceMembers: createWorkspaceMemberRepository(store),
+    workspaceInvites: createWorkspaceInviteRepository(store),
+    pageStats: createPageStatsRepository(store),
+    webhooks: createWebhookRepository(store),
+    webhookDeliveries: createWebhookDeliveryRepository(store)
+  };
+}
+
+module.exports = { createRepositories };
@@ -0,0 +1,17 @@
+// Moderation audit log repository - append only
+function createModerationLogRepository(store) {
+  const collection = store.collection('moderationLog');
+
+  return {
+    // Most recent entries, optionally for a single target (comment or user id)
+    list: ({ targetId, limit = 100 } = {}) => collection.find({
+      where: targetId ? [['targetId', '==', targetId]] : [],
+      orderBy: [['timestamp', 'desc']],
+      limit
+    }),
+
+    create: (data) => collection.add(data)
+  };
+}
+
+module.exports = { createModerationLogRepository };
@@ -0,0 +1,83 @@
+const MAX_GROUP_ACTORS = 3;
+
+// Notifications repository.
+// Grouped notifications carry a groupKey; while one is unread, later events in the
+// same group are folded into it (count, actors) rather than stored separately.
+function createNotificationRepository(store) {
+  const collection = store.collection('notifications');
+
+  const unreadFilter = (userId) => [['userId', '==', userId], ['read', '==', false]];
+
+  return {
+    findById: (id) => collection.get(id),
+    findAll: () => collection.find(),
+
+    // Most recent notifications for a user
+    listForUser: (userId, limit = 50) => collection.find({
+      where: [['userId', '==', userId]],
+      orderBy: [['timestamp', 'desc']],
+      limit
+    }),
+
+    // Unread notifications newer than a date, newest first (for digests)
+    listUnreadSince: (userId, since, limit) => collection.find({
+      where: [...unreadFilter(userId), ['timestamp', '>', since]],
+      orderBy: [['timestamp', 'desc']],
+      limit
+    }),
+
+    countUnread: (userId) => collection.count({ where: unreadFilter(userId) }),
+
+    async markAllRead(userId) {
+      const unread = await collection.find({ where: unreadFilter(userId) });
+      await Promise.all(unread.map(notification => collection.update(notification.id, { read: true })));
+      return unread.length;
+    },
+
+    // Fold an event ({ type, actorName, commentId, url, threadId, workspaceId, timestamp }) into the user's
+    // unread notification for groupKey, or start a new one. describe({ type, count, actorName })
+    // builds the message. Resolves with the stored notification.
+    addToGroup(userId, groupKey, event, describe) {
+      return store.runTransaction(async (tx) => {
+        const [existing] = await tx.find('notifications', {
+          where: [...unreadFilter(userId), ['groupKey', '==', groupKey]],
+          limit: 1
+        });
+        const { actorName, ...fields } = event;
+
+        if (existing) {
+          const count = (existing.count || 1) + 1;
+          const actors = [actorName, ...(existing.actors || []).filter(name => name !== actorName)].slice(0, MAX_GROUP_ACTORS);
+          const patch = { ...fields, count, actors, message: describe({ type: event.type, count, actorName }) };
+          tx.update('notifications', existing.id, patch);
+          return { ...existing, ...patch };
+        }
+
+        const notification = {
+          userId,
+          groupKey,
+          ...fields,
+          count: 1,
+          actors: [actorName],
+          message: describe({ type: event.type, count: 1, actorName }),
+          read: false
+        };
+        const id = tx.add('notifications', notification);
+        return { id, ...notification };
+      });
+    },
+
+    // Drop a user's notifications about a workspace's comments once they are no longer a member
+    async deleteForWorkspace(userId, workspaceId) {
+      const notifications = await collection.find({ where: [['userId', '==', userId], ['workspaceId', '==', workspaceId]] });
+      await Promise.all(notifications.map(notification => collection.delete(notification.id)));
+      return notifications.length;
+    },
+
+    create: (data) => collection.add(data),
+    createWithId: (id, data) => collection.set(id, data),
+    update: (id, patch) => collection.update(id, patch)
+  };
+}
+
+module.exports = { createNotificationRepository };
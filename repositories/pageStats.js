@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+// Page stats repository - one aggregate per page behind POST /api/comments/counts, so
+// counting a page's comments never reads them (see lib/pageStats.js). Page URLs contain
+// slashes, which document ids can't, so documents are stored under a hash of the URL.
+function createPageStatsRepository(store) {
+  const collection = store.collection('pageStats');
+
+  const statsId = (url) => crypto.createHash('sha256').update(url).digest('hex');
+
+  return {
+    // Stats for several canonical URLs. Resolves with a Map of url -> stats; pages
+    // nobody has commented on are missing from it.
+    async findByUrls(urls) {
+      const unique = Array.from(new Set(urls));
+      const found = await Promise.all(unique.map(url => collection.get(statsId(url))));
+      return new Map(found.filter(Boolean).map(stats => [stats.url, stats]));
+    },
+
+    // Move a page's counters by { comments, threads }; lastActivityAt only ever moves forward
+    adjust(url, { comments = 0, threads = 0, activityAt = null }) {
+      const id = statsId(url);
+      return store.runTransaction(async (tx) => {
+        const existing = await tx.get('pageStats', id);
+        const previous = existing && existing.lastActivityAt ? new Date(existing.lastActivityAt) : null;
+        const latest = activityAt && (!previous || new Date(activityAt) > previous) ? new Date(activityAt) : previous;
+
+        const stats = {
+          url,
+          commentCount: Math.max((existing ? existing.commentCount : 0) + comments, 0),
+          threadCount: Math.max((existing ? existing.threadCount : 0) + threads, 0),
+          lastActivityAt: latest
+        };
+        tx.set('pageStats', id, stats);
+        return stats;
+      });
+    },
+
+    // Overwrite a page's stats (used by scripts/rebuild-page-stats.js)
+    save: (stats) => collection.set(statsId(stats.url), stats),
+
+    // Remove every aggregate. Resolves with how many were removed.
+    async clear() {
+      const all = await collection.find();
+      await Promise.all(all.map(stats => collection.delete(stats.id)));
+      return all.length;
+    }
+  };
+}
+
+module.exports = { createPageStatsRepository };
@@ -0,0 +1,34 @@
+// Password reset tokens repository - at most one per email. Only a hash of the
+// token is stored; the token itself exists only in the emailed link.
+function createPasswordResetTokenRepository(store) {
+  const collection = store.collection('passwordResetTokens');
+
+  return {
+    async findByEmail(email) {
+      const [token] = await collection.find({ where: [['email', '==', email]], limit: 1 });
+      return token || null;
+    },
+
+    create: (data) => collection.add(data),
+    delete: (id) => collection.delete(id),
+
+    async deleteForEmail(email) {
+      const tokens = await collection.find({ where: [['email', '==', email]] });
+      await Promise.all(tokens.map(token => collection.delete(token.id)));
+    },
+
+    // Use up a reset token: resolves with it if it matches and hasn't expired, deleting
+    // it in the same transaction so the link works once. Resolves with null otherwise.
+    consume(email, tokenHash, now) {
+      return store.runTransaction(async (tx) => {
+        const [token] = await tx.find('passwordResetTokens', { where: [['email', '==', email]], limit: 1 });
+        if (!token || token.tokenHash !== tokenHash) return null;
+
+        tx.delete('passwordResetTokens', token.id);
+        return new Date(token.expiresAt) > now ? token : null;
+      });
+    }
+  };
+}
+
+module.exports = { createPasswordResetTokenRepository };
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+// Rate limit counters - the shared limit store (see lib/rateLimit.js) for deployments
+// running several server instances. One fixed-window counter per key; keys contain
+// IPs and emails, so documents are stored under a hash of the key.
+function createRateLimitRepository(store) {
+  const collection = store.collection('rateLimits');
+
+  const counterId = (key) => crypto.createHash('sha256').update(key).digest('hex');
+  const isLive = (counter, now = Date.now()) => Boolean(counter) && new Date(counter.resetAt).getTime() > now;
+
+  return {
+    // Count one hit; the window starts at the first hit after the previous one ran out
+    hit(key, windowMs) {
+      const id = counterId(key);
+      return store.runTransaction(async (tx) => {
+        const counter = await tx.get('rateLimits', id);
+        const now = Date.now();
+
+        if (!isLive(counter, now)) {
+          const resetAt = new Date(now + windowMs);
+          tx.set('rateLimits', id, { count: 1, resetAt });
+          return { count: 1, resetAt };
+        }
+
+        tx.update('rateLimits', id, { count: counter.count + 1 });
+        return { count: counter.count + 1, resetAt: new Date(counter.resetAt) };
+      });
+    },
+
+    async get(key) {
+      const counter = await collection.get(counterId(key));
+      return isLive(counter) ? { count: counter.count, resetAt: new Date(counter.resetAt) } : null;
+    },
+
+    reset: (key) => collection.delete(counterId(key)),
+
+    close() {}
+  };
+}
+
+module.exports = { createRateLimitRepository };
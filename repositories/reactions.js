@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const { DOCUMENT_ID } = require('../storage');
+
+const IN_QUERY_LIMIT = 30; // Firestore's cap on values in an 'in' filter
+
+// Reactions repository - one document per (comment, user, emoji), so reacting twice
+// is a no-op. The comment carries the aggregated reactionCounts ({ emoji: count }),
+// kept in step by react/unreact inside a transaction.
+function createReactionRepository(store) {
+  const collection = store.collection('reactions');
+
+  const reactionId = (commentId, userId, emoji) =>
+    `${commentId}:${userId}:${crypto.createHash('sha256').update(emoji).digest('hex').slice(0, 16)}`;
+
+  const findForComment = (commentId) => collection.find({ where: [['commentId', '==', commentId]] });
+
+  // Add or remove one reaction. Resolves with { changed, reactionCounts }, or null if the comment is gone.
+  function toggle(commentId, user, emoji, add) {
+    const id = reactionId(commentId, user.id, emoji);
+    return store.runTransaction(async (tx) => {
+      const comment = await tx.get('comments', commentId);
+      if (!comment) return null;
+      const existing = await tx.get('reactions', id);
+
+      const reactionCounts = { ...(comment.reactionCounts || {}) };
+      if (add === Boolean(existing)) return { changed: false, reactionCounts };
+
+      if (add) {
+        tx.set('reactions', id, { commentId, userId: user.id, username: user.username, emoji, timestamp: new Date() });
+        reactionCounts[emoji] = (reactionCounts[emoji] || 0) + 1;
+      } else {
+        tx.delete('reactions', id);
+        reactionCounts[emoji] = (reactionCounts[emoji] || 0) - 1;
+        if (reactionCounts[emoji] <= 0) delete reactionCounts[emoji];
+      }
+      tx.update('comments', commentId, { reactionCounts });
+      return { changed: true, reactionCounts };
+    });
+  }
+
+  return {
+    react: (commentId, user, emoji) => toggle(commentId, user, emoji, true),
+    unreact: (commentId, user, emoji) => toggle(commentId, user, emoji, false),
+
+    // Who reacted to a comment with one emoji, earliest first
+    listByEmoji: (commentId, emoji, { limit, startAfter } = {}) => collection.find({
+      where: [['commentId', '==', commentId], ['emoji', '==', emoji]],
+      orderBy: [['timestamp', 'asc'], [DOCUMENT_ID, 'asc']],
+      limit,
+      startAfter
+    }),
+
+    // The emoji a user reacted with, per comment id: Map(commentId -> [emoji])
+    async findMine(commentIds, userId) {
+      const mine = new Map(commentIds.map(id => [id, []]));
+      const ids = Array.from(mine.keys());
+      for (let i = 0; i < ids.length; i += IN_QUERY_LIMIT) {
+        const reactions = await collection.find({
+          where: [['userId', '==', userId], ['commentId', 'in', ids.slice(i, i + IN_QUERY_LIMIT)]]
+        });
+        reactions.forEach(reaction => mine.get(reaction.commentId).push(reaction.emoji));
+      }
+      return mine;
+    },
+
+    async deleteForComment(commentId) {
+      const reactions = await findForComment(commentId);
+      await Promise.all(reactions.map(reaction => collection.delete(reaction.id)));
+    }
+  };
+}
+
+module.exports = { createReactionRepository };
@@ -0,0 +1,35 @@
+const { DOCUMENT_ID } = require('../storage');
+
+// Comment reports repository
+function createReportRepository(store) {
+  const collection = store.collection('reports');
+
+  return {
+    findById: (id) => collection.get(id),
+
+    // One page of the report queue, oldest first so nothing waits forever
+    listByStatus: (status, { limit, startAfter } = {}) => collection.find({
+      where: [['status', '==', status]],
+      orderBy: [['timestamp', 'asc'], [DOCUMENT_ID, 'asc']],
+      limit,
+      startAfter
+    }),
+
+    findOpenForComment: (commentId) => collection.find({
+      where: [['commentId', '==', commentId], ['status', '==', 'open']]
+    }),
+
+    async findOpenByReporter(commentId, reporterId) {
+      const [report] = await collection.find({
+        where: [['commentId', '==', commentId], ['reporterId', '==', reporterId], ['status', '==', 'open']],
+        limit: 1
+      });
+      return report || null;
+    },
+
+    create: (data) => collection.add(data),
+    update: (id, patch) => collection.update(id, patch)
+  };
+}
+
+module.exports = { createReportRepository };
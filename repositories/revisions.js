@@ -0,0 +1,22 @@
+// Comment revisions repository - earlier versions of edited comments
+function createRevisionRepository(store) {
+  const collection = store.collection('commentRevisions');
+
+  const listForComment = (commentId) => collection.find({
+    where: [['commentId', '==', commentId]],
+    orderBy: [['revision', 'asc']]
+  });
+
+  return {
+    listForComment,
+
+    create: (data) => collection.add(data),
+
+    async deleteForComment(commentId) {
+      const revisions = await listForComment(commentId);
+      await Promise.all(revisions.map(revision => collection.delete(revision.id)));
+    }
+  };
+}
+
+module.exports = { createRevisionRepository };
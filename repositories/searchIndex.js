@@ -0,0 +1,75 @@
+const { analyze, domainOf } = require('../lib/search');
+const { DOCUMENT_ID } = require('../storage');
+
+const POSTING_ORDER = [[DOCUMENT_ID, 'asc']];
+const IN_QUERY_LIMIT = 30; // Firestore's cap on values in an 'in' filter
+
+// Search index repository - an inverted index over comment rawText.
+// One posting per (term, comment) with id "<commentId>:<term>", carrying the
+// comment's filterable fields so a term lookup needs no further reads.
+function createSearchIndexRepository(store) {
+  const collection = store.collection('searchIndex');
+
+  const postingFilter = (term, { authorId, domain }) => {
+    const where = [['term', '==', term]];
+    if (authorId) where.push(['authorId', '==', authorId]);
+    if (domain) where.push(['domain', '==', domain]);
+    return where;
+  };
+
+  const findForComment = (commentId) => collection.find({ where: [['commentId', '==', commentId]] });
+
+  return {
+    // One page of the postings for a term, optionally narrowed to an author or domain, in id order
+    findPostings(term, { authorId, domain, limit, startAfter } = {}) {
+      return collection.find({ where: postingFilter(term, { authorId, domain }), orderBy: POSTING_ORDER, limit, startAfter });
+    },
+
+    countPostings: (term, { authorId, domain } = {}) => collection.count({ where: postingFilter(term, { authorId, domain }) }),
+
+    // The postings for a term in any of these comments, read IN_QUERY_LIMIT comments at a time
+    async findPostingsIn(term, commentIds) {
+      const batches = [];
+      for (let i = 0; i < commentIds.length; i += IN_QUERY_LIMIT) {
+        batches.push(commentIds.slice(i, i + IN_QUERY_LIMIT));
+      }
+      const results = await Promise.all(batches.map(batch => collection.find({
+        where: [['term', '==', term], ['commentId', 'in', batch]]
+      })));
+      return results.flat();
+    },
+
+    // (Re)index a comment; postings for terms the text no longer contains are removed
+    async indexComment(comment) {
+      const { terms, length } = analyze(comment.rawText);
+      const fields = {
+        commentId: comment.id,
+        url: comment.url,
+        domain: domainOf(comment.url),
+        authorId: comment.authorId,
+        timestamp: comment.timestamp,
+        length
+      };
+
+      const stale = (await findForComment(comment.id)).filter(posting => !terms.has(posting.term));
+      await Promise.all([
+        ...stale.map(posting => collection.delete(posting.id)),
+        ...Array.from(terms, ([term, count]) => collection.set(`${comment.id}:${term}`, { term, count, ...fields }))
+      ]);
+    },
+
+    async removeComment(commentId) {
+      const postings = await findForComment(commentId);
+      await Promise.all(postings.map(posting => collection.delete(posting.id)));
+    },
+
+    // Drop every posting; used when rebuilding the index from scratch
+    async clear() {
+      const postings = await collection.find();
+      await Promise.all(postings.map(posting => collection.delete(posting.id)));
+      return postings.length;
+    }
+  };
+}
+
+module.exports = { createSearchIndexRepository };
@@ -0,0 +1,17 @@
+// Search result sets - the ranked matches of one search, kept for a while so its later
+// pages are read from here instead of searching again (see routes/search.js)
+function createSearchResultRepository(store) {
+  const collection = store.collection('searchResults');
+
+  return {
+    create: (data) => collection.add(data),
+
+    // A result set, or null once it has expired
+    async findLive(id, now = new Date()) {
+      const results = await collection.get(id);
+      return results && new Date(results.expiresAt) > now ? results : null;
+    }
+  };
+}
+
+module.exports = { createSearchResultRepository };
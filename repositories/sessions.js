@@ -0,0 +1,70 @@
+// Sessions repository - one document per signed-in device (see lib/sessions.js).
+// Only hashes of refresh tokens are stored. A session is active until it expires
+// or revokedAt is set.
+function createSessionRepository(store) {
+  const collection = store.collection('sessions');
+
+  const isActive = (session, now = new Date()) =>
+    Boolean(session) && !session.revokedAt && new Date(session.expiresAt) > now;
+
+  return {
+    isActive,
+    findById: (id) => collection.get(id),
+    create: (data) => collection.add(data),
+    update: (id, patch) => collection.update(id, patch),
+
+    // Unrevoked, unexpired sessions of a user, most recently used first
+    async listActiveForUser(userId) {
+      const sessions = await collection.find({
+        where: [['userId', '==', userId], ['revokedAt', '==', null]],
+        orderBy: [['lastSeenAt', 'desc']]
+      });
+      return sessions.filter(session => isActive(session));
+    },
+
+    // Swap the refresh token of a session for a new one. Resolves with
+    //   { session }               - rotated; session has the new hash and nonce
+    //   { session, raced: true }  - the token was rotated away less than reuseGraceMs ago,
+    //                               by a concurrent refresh; session is unchanged
+    //   { error: 'invalid' }      - unknown session or token, expired or revoked
+    //   { error: 'reused' }       - the token was rotated away longer ago: taken for a
+    //                               stolen token, and the session is revoked
+    rotate(id, tokenHash, { newTokenHash, newNonce, now, expiresAt, reuseGraceMs }) {
+      return store.runTransaction(async (tx) => {
+        const session = await tx.get('sessions', id);
+        if (!isActive(session, now)) return { error: 'invalid' };
+
+        if (session.refreshTokenHash !== tokenHash) {
+          if (session.previousRefreshTokenHash !== tokenHash) return { error: 'invalid' };
+          if (now - new Date(session.rotatedAt) <= reuseGraceMs) return { session, raced: true };
+          tx.update('sessions', id, { revokedAt: now, revokedReason: 'reuse' });
+          return { error: 'reused' };
+        }
+
+        const patch = {
+          refreshTokenHash: newTokenHash,
+          refreshNonce: newNonce,
+          previousRefreshTokenHash: tokenHash,
+          rotatedAt: now,
+          lastSeenAt: now,
+          expiresAt
+        };
+        tx.update('sessions', id, patch);
+        return { session: { ...session, ...patch } };
+      });
+    },
+
+    revoke: (id, reason = 'logout') => collection.update(id, { revokedAt: new Date(), revokedReason: reason }),
+
+    // Revoke every active session of a user except exceptId. Resolves with the revoked ids.
+    async revokeAllForUser(userId, { exceptId = null, reason = 'logout' } = {}) {
+      const sessions = await collection.find({ where: [['userId', '==', userId], ['revokedAt', '==', null]] });
+      const revoked = sessions.filter(session => session.id !== exceptId).map(session => session.id);
+      const revokedAt = new Date();
+      await Promise.all(revoked.map(id => collection.update(id, { revokedAt, revokedReason: reason })));
+      return revoked;
+    }
+  };
+}
+
+module.exports = { createSessionRepository };
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+
+// Subscriptions repository - what a user follows.
+//   type 'page'   - key is a canonical page URL
+//   type 'thread' - key is the id of a top-level comment
+// A thread subscription with muted: true silences that thread instead.
+// Ids are derived from (user, type, key), so subscribing twice updates one document.
+function createSubscriptionRepository(store) {
+  const collection = store.collection('subscriptions');
+
+  const subscriptionId = (userId, type, key) =>
+    `${userId}:${type}:${crypto.createHash('sha256').update(key).digest('hex').slice(0, 32)}`;
+
+  return {
+    findById: (id) => collection.get(id),
+    find: (userId, type, key) => collection.get(subscriptionId(userId, type, key)),
+
+    listForUser: (userId) => collection.find({
+      where: [['userId', '==', userId]],
+      orderBy: [['createdAt', 'desc']]
+    }),
+
+    // Everyone following (or, for threads, muting) a page or thread
+    findByTarget: (type, key) => collection.find({ where: [['type', '==', type], ['key', '==', key]] }),
+
+    save: (data) => collection.set(subscriptionId(data.userId, data.type, data.key), data),
+    delete: (id) => collection.delete(id)
+  };
+}
+
+module.exports = { createSubscriptionRepository };
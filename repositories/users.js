@@ -0,0 +1,41 @@
+// Users repository
+function createUserRepository(store) {
+  const collection = store.collection('users');
+
+  async function findOneBy(field, value) {
+    const [user] = await collection.find({ where: [[field, '==', value]], limit: 1 });
+    return user || null;
+  }
+
+  return {
+    findById: (id) => collection.get(id),
+    findAll: () => collection.find(),
+    findByEmail: (email) => findOneBy('email', email),
+    findByUsername: (username) => findOneBy('username', username),
+    findByGoogleId: (googleId) => findOneBy('googleId', googleId),
+    findByVerificationToken: (tokenHash) => findOneBy('emailVerificationTokenHash', tokenHash),
+    findByDigestFrequency: (frequency) => collection.find({ where: [['emailDigest', '==', frequency]] }),
+
+    // Mark a digest as sent now unless one went out less than minGapMs ago.
+    // Resolves with the start of the period it covers, or null if none is due.
+    claimDigest(userId, now, minGapMs) {
+      return store.runTransaction(async (tx) => {
+        const user = await tx.get('users', userId);
+        if (!user) return null;
+
+        const last = user.lastDigestAt ? new Date(user.lastDigestAt) : null;
+        if (last && now - last < minGapMs) return null;
+
+        tx.update('users', userId, { lastDigestAt: now });
+        return last || user.createdAt || new Date(0);
+      });
+    },
+
+    create: (data) => collection.add(data),
+    // Write under a chosen id (legacy imports, see scripts/migrate-legacy.js)
+    createWithId: (id, data) => collection.set(id, data),
+    update: (id, patch) => collection.update(id, patch)
+  };
+}
+
+module.exports = { createUserRepository };
@@ -0,0 +1,81 @@
+const { rankFields } = require('../lib/ranking');
+
+// Votes repository - one document per (comment, user) pair.
+// The comment document carries denormalized upvotes/downvotes counters and the
+// sort keys derived from them (see rankFields), and its author's karma is the sum of
+// their comments' scores. castVote keeps all of these in step inside a transaction.
+function createVoteRepository(store) {
+  const collection = store.collection('votes');
+
+  const findForComment = (commentId) => collection.find({ where: [['commentId', '==', commentId]] });
+
+  return {
+    findForComment,
+    findAll: () => collection.find(),
+
+    async findByUser(commentId, userId) {
+      const [vote] = await collection.find({
+        where: [['commentId', '==', commentId], ['userId', '==', userId]],
+        limit: 1
+      });
+      return vote || null;
+    },
+
+    // Apply 'up', 'down' or 'remove' for a user and update the comment's counters atomically.
+    // Resolves with { upvotes, downvotes, score, previous } or null if the comment is gone.
+    castVote(commentId, userId, voteType) {
+      return store.runTransaction(async (tx) => {
+        const comment = await tx.get('comments', commentId);
+        if (!comment) return null;
+
+        const [existingVote] = await tx.find('votes', {
+          where: [['commentId', '==', commentId], ['userId', '==', userId]],
+          limit: 1
+        });
+        const previous = existingVote ? existingVote.voteType : null;
+        // Read before any write, as Firestore transactions require
+        const author = comment.authorId ? await tx.get('users', comment.authorId) : null;
+
+        let upvotes = comment.upvotes || 0;
+        let downvotes = comment.downvotes || 0;
+        if (previous === 'up') upvotes--;
+        if (previous === 'down') downvotes--;
+
+        if (voteType === 'remove') {
+          if (existingVote) tx.delete('votes', existingVote.id);
+        } else {
+          if (voteType === 'up') upvotes++;
+          if (voteType === 'down') downvotes++;
+
+          if (existingVote) {
+            tx.update('votes', existingVote.id, { voteType });
+          } else {
+            tx.add('votes', { commentId, userId, voteType, timestamp: new Date() });
+          }
+        }
+
+        upvotes = Math.max(upvotes, 0);
+        downvotes = Math.max(downvotes, 0);
+        const ranks = rankFields(upvotes, downvotes, comment.timestamp);
+        tx.update('comments', commentId, { upvotes, downvotes, ...ranks });
+
+        const karmaChange = ranks.score - ((comment.upvotes || 0) - (comment.downvotes || 0));
+        if (author && karmaChange) {
+          tx.update('users', author.id, { karma: store.increment(karmaChange) });
+        }
+
+        return { upvotes, downvotes, score: ranks.score, previous };
+      });
+    },
+
+    createWithId: (id, data) => collection.set(id, data),
+    delete: (id) => collection.delete(id),
+
+    async deleteForComment(commentId) {
+      const votes = await findForComment(commentId);
+      await Promise.all(votes.map(vote => collection.delete(vote.id)));
+    }
+  };
+}
+
+module.exports = { createVoteRepository };
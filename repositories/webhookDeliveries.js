@@ -0,0 +1,48 @@
+// Webhook deliveries repository - the delivery queue and log (see lib/webhooks.js).
+// status is 'pending', 'delivered' or 'failed'; nextAttemptAt is when a pending delivery is next due.
+function createWebhookDeliveryRepository(store) {
+  const collection = store.collection('webhookDeliveries');
+
+  return {
+    findById: (id) => collection.get(id),
+    create: (data) => collection.add(data),
+    update: (id, patch) => collection.update(id, patch),
+
+    // One page of a webhook's deliveries; orderBy is newest first with a tiebreaker
+    listForWebhook: (webhookId, { orderBy, limit, startAfter }) => collection.find({
+      where: [['webhookId', '==', webhookId]],
+      orderBy,
+      limit,
+      startAfter
+    }),
+
+    // Pending deliveries that are due, oldest first
+    findDue: (now, limit) => collection.find({
+      where: [['status', '==', 'pending'], ['nextAttemptAt', '<=', now]],
+      orderBy: [['nextAttemptAt', 'asc']],
+      limit
+    }),
+
+    // Take a lease on a delivery so only one worker sends it: counts the attempt and
+    // pushes nextAttemptAt past the lease. Resolves with the delivery, or null if it
+    // was sent or claimed elsewhere in the meantime.
+    claim(id, now, leaseMs) {
+      return store.runTransaction(async (tx) => {
+        const delivery = await tx.get('webhookDeliveries', id);
+        if (!delivery || delivery.status !== 'pending' || delivery.nextAttemptAt > now) return null;
+
+        const patch = { attempts: (delivery.attempts || 0) + 1, nextAttemptAt: new Date(now.getTime() + leaseMs) };
+        tx.update('webhookDeliveries', id, patch);
+        return { ...delivery, ...patch };
+      });
+    },
+
+    async deleteForWebhook(webhookId) {
+      const deliveries = await collection.find({ where: [['webhookId', '==', webhookId]] });
+      await Promise.all(deliveries.map(delivery => collection.delete(delivery.id)));
+      return deliveries.length;
+    }
+  };
+}
+
+module.exports = { createWebhookDeliveryRepository };
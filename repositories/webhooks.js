@@ -0,0 +1,33 @@
+// Webhooks repository - outgoing webhook subscriptions (see lib/webhooks.js).
+// A webhook belongs to the user who registered it, or to a workspace when workspaceId is set.
+function createWebhookRepository(store) {
+  const collection = store.collection('webhooks');
+
+  const newestFirst = [['createdAt', 'desc']];
+
+  return {
+    findById: (id) => collection.get(id),
+
+    // A user's own webhooks (not those of their workspaces)
+    listForOwner: (ownerId) => collection.find({
+      where: [['ownerId', '==', ownerId], ['workspaceId', '==', null]],
+      orderBy: newestFirst
+    }),
+
+    listForWorkspace: (workspaceId) => collection.find({
+      where: [['workspaceId', '==', workspaceId]],
+      orderBy: newestFirst
+    }),
+
+    // Active webhooks subscribed to an event; URL filters are applied by the caller
+    listActiveForEvent: (event) => collection.find({
+      where: [['active', '==', true], ['events', 'array-contains', event]]
+    }),
+
+    create: (data) => collection.add(data),
+    update: (id, patch) => collection.update(id, patch),
+    delete: (id) => collection.delete(id)
+  };
+}
+
+module.exports = { createWebhookRepository };
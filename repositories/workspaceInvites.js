@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+// Workspace invites repository. An invite is a random code shown once when it is
+// created; documents are stored under a hash of the code, so whoever can read the
+// collection still can't join with it.
+function createWorkspaceInviteRepository(store) {
+  const collection = store.collection('workspaceInvites');
+
+  const inviteId = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+  return {
+    findById: (id) => collection.get(id),
+
+    listForWorkspace: (workspaceId) => collection.find({
+      where: [['workspaceId', '==', workspaceId]],
+      orderBy: [['createdAt', 'desc']]
+    }),
+
+    // Create an invite for a freshly generated code. Resolves with the stored invite.
+    create: (code, data) => collection.set(inviteId(code), data),
+
+    // Join a workspace with an invite code. Counts the use and adds the member in one
+    // transaction. Resolves with { membership, workspaceId, joined } or { error } where
+    // error is 'invalid', 'expired' or 'exhausted'.
+    redeem(code, user, now) {
+      const id = inviteId(code);
+      return store.runTransaction(async (tx) => {
+        const invite = await tx.get('workspaceInvites', id);
+        if (!invite) return { error: 'invalid' };
+        const workspace = await tx.get('workspaces', invite.workspaceId);
+        if (!workspace) return { error: 'invalid' };
+        const existing = await tx.get('workspaceMembers', `${invite.workspaceId}:${user.id}`);
+
+        if (existing) return { membership: existing, workspaceId: invite.workspaceId, joined: false };
+        if (invite.expiresAt && new Date(invite.expiresAt) <= now) return { error: 'expired' };
+        if (invite.maxUses && invite.uses >= invite.maxUses) return { error: 'exhausted' };
+
+        const membership = {
+          workspaceId: invite.workspaceId,
+          userId: user.id,
+          username: user.username,
+          role: invite.role,
+          invitedBy: invite.createdBy,
+          joinedAt: now
+        };
+        tx.set('workspaceMembers', `${invite.workspaceId}:${user.id}`, membership);
+        tx.update('workspaceInvites', id, { uses: (invite.uses || 0) + 1 });
+        return { membership: { id: `${invite.workspaceId}:${user.id}`, ...membership }, workspaceId: invite.workspaceId, joined: true };
+      });
+    },
+
+    delete: (id) => collection.delete(id),
+
+    async deleteForWorkspace(workspaceId) {
+      const invites = await collection.find({ where: [['workspaceId', '==', workspaceId]] });
+      await Promise.all(invites.map(invite => collection.delete(invite.id)));
+    }
+  };
+}
+
+module.exports = { createWorkspaceInviteRepository };
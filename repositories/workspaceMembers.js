@@ -0,0 +1,26 @@
+// Workspace members repository - one document per (workspace, user) with id
+// "<workspaceId>:<userId>", so membership checks are a single read.
+function createWorkspaceMemberRepository(store) {
+  const collection = store.collection('workspaceMembers');
+
+  const memberId = (workspaceId, userId) => `${workspaceId}:${userId}`;
+
+  return {
+    find: (workspaceId, userId) => collection.get(memberId(workspaceId, userId)),
+
+    listForWorkspace: (workspaceId) => collection.find({
+      where: [['workspaceId', '==', workspaceId]],
+      orderBy: [['joinedAt', 'asc']]
+    }),
+
+    listForUser: (userId) => collection.find({ where: [['userId', '==', userId]] }),
+
+    countForWorkspace: (workspaceId) => collection.count({ where: [['workspaceId', '==', workspaceId]] }),
+
+    save: (data) => collection.set(memberId(data.workspaceId, data.userId), data),
+    update: (workspaceId, userId, patch) => collection.update(memberId(workspaceId, userId), patch),
+    delete: (workspaceId, userId) => collection.delete(memberId(workspaceId, userId))
+  };
+}
+
+module.exports = { createWorkspaceMemberRepository };
@@ -0,0 +1,15 @@
+// Workspaces repository - private groups that comments can be posted to (see lib/workspaces.js).
+// Membership and invites live in workspaceMembers and workspaceInvites.
+function createWorkspaceRepository(store) {
+  const collection = store.collection('workspaces');
+
+  return {
+    findById: (id) => collection.get(id),
+    findByIds: async (ids) => (await Promise.all(ids.map(id => collection.get(id)))).filter(Boolean),
+    create: (data) => collection.add(data),
+    update: (id, patch) => collection.update(id, patch),
+    delete: (id) => collection.delete(id)
+  };
+}
+
+module.exports = { createWorkspaceRepository };
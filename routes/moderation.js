@@ -0,0 +1,440 @@
+const express = require('express');
+const { ROLES, REPORT_REASONS, REPORT_STATUSES, hasRole, requireRole } = require('../lib/moderation');
+const { purgeThread } = require('../lib/commentDeletion');
+const { extractMentions } = require('../lib/notifier');
+const { canAccessComment } = require('../lib/workspaces');
+const { commentChanged } = require('../lib/pageStats');
+const { encodeCursor, decodeCursor } = require('../lib/cursor');
+const { validate, object, pageSize, CURSOR, ID } = require('../lib/validation');
+const { DOCUMENT_ID } = require('../storage');
+const { logger } = require('../lib/logger');
+
+const MAX_REASON_LENGTH = 500;
+const HELD_QUEUE_SIZE = 100;
+const REPORT_PAGE_SIZE = { default: 50, max: 100 };
+const REPORT_ORDER = [['timestamp', 'asc'], [DOCUMENT_ID, 'asc']];
+
+const REASON = { type: 'string', maxLength: MAX_REASON_LENGTH, description: 'Recorded in the moderation log' };
+const WITH_REASON = validate({ body: object({ reason: REASON }) });
+const WITH_REQUIRED_REASON = validate({ body: object({ reason: REASON }, ['reason']) });
+
+// Reports, held and hidden comments, bans and role changes. Every moderator action is written to moderationLog.
+function createModerationRouter({ db, realtime, notifier, webhooks, authenticateToken, rateLimit }) {
+  const router = express.Router();
+  const moderatorOnly = [authenticateToken, requireRole('moderator')];
+  const adminOnly = [authenticateToken, requireRole('admin')];
+
+  // Helper function to record a moderation action in the audit log
+  function logAction(req, action, targetType, targetId, { reason = null, details = null } = {}) {
+    return db.moderationLog.create({
+      action,
+      actorId: req.user.id,
+      actorName: req.user.username,
+      targetType,
+      targetId,
+      reason,
+      details,
+      timestamp: new Date()
+    });
+  }
+
+  // Helper function to read the free-text reason (a blank one counts as missing)
+  function readReason(body, required) {
+    const reason = (body.reason || '').trim();
+    if (required && !reason) return { error: 'Reason is required' };
+    return { reason: reason || null };
+  }
+
+  // Helper function to close every open report on a comment once a moderator has acted on it
+  async function resolveReportsFor(req, commentId, status) {
+    const reports = await db.reports.findOpenForComment(commentId);
+    await Promise.all(reports.map(report => db.reports.update(report.id, {
+      status,
+      resolvedBy: req.user.id,
+      resolvedAt: new Date()
+    })));
+    return reports.length;
+  }
+
+  // POST /api/comments/:id/report - Report a comment to the moderators
+  router.post('/api/comments/:id/report', authenticateToken, rateLimit('reports'), validate({
+    params: object({ id: ID }),
+    body: object({
+      reason: { type: 'string', enum: REPORT_REASONS },
+      details: { type: 'string', maxLength: MAX_REASON_LENGTH, default: '' }
+    }, ['reason'])
+  }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { reason, details } = req.body;
+
+      const comment = await db.comments.findById(id);
+      if (!comment || !await canAccessComment(db, comment, req.user)) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      if (comment.deleted) {
+        return res.status(410).json({ error: 'Comment has been deleted' });
+      }
+
+      if (await db.reports.findOpenByReporter(id, req.user.id)) {
+        return res.status(409).json({ error: 'You have already reported this comment' });
+      }
+
+      const report = await db.reports.create({
+        commentId: id,
+        url: comment.url,
+        commentAuthorId: comment.authorId,
+        reporterId: req.user.id,
+        reporterName: req.user.username,
+        reason,
+        details: details.trim(),
+        status: 'open',
+        timestamp: new Date()
+      });
+
+      logger.info('Comment reported', { commentId: id, userId: req.user.id, reason });
+
+      res.status(201).json(report);
+    } catch (error) {
+      logger.error('Error reporting comment', error);
+      res.status(500).json({ error: 'Failed to report comment' });
+    }
+  });
+
+  // GET /api/moderation/reports - Report queue, oldest first (?status=open|resolved|dismissed, ?cursor=, ?limit=)
+  router.get('/api/moderation/reports', moderatorOnly, validate({
+    query: object({
+      status: { type: 'string', enum: REPORT_STATUSES, default: 'open' },
+      cursor: CURSOR,
+      limit: pageSize(REPORT_PAGE_SIZE)
+    })
+  }), async (req, res) => {
+    try {
+      const { status, cursor, limit } = req.query;
+
+      const scope = `reports:${status}`;
+      const startAfter = cursor ? decodeCursor(cursor, REPORT_ORDER, scope) : null;
+      if (cursor && !startAfter) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+
+      const listed = await db.reports.listByStatus(status, { limit: limit + 1, startAfter });
+      const reports = listed.slice(0, limit);
+      const hasNextPage = listed.length > limit;
+
+      // Attach each reported comment once, however many reports it has
+      const commentIds = Array.from(new Set(reports.map(report => report.commentId)));
+      const comments = new Map();
+      await Promise.all(commentIds.map(async (commentId) => {
+        comments.set(commentId, await db.comments.findById(commentId));
+      }));
+
+      res.json({
+        reports: reports.map(report => ({ ...report, comment: comments.get(report.commentId) || null })),
+        pagination: {
+          limit,
+          hasNextPage,
+          nextCursor: hasNextPage ? encodeCursor(reports[reports.length - 1], REPORT_ORDER, scope) : null
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching reports', error);
+      res.status(500).json({ error: 'Failed to fetch reports' });
+    }
+  });
+
+  // PUT /api/moderation/reports/:id - Resolve or dismiss a report without touching the comment
+  router.put('/api/moderation/reports/:id', moderatorOnly, validate({
+    params: object({ id: ID }),
+    body: object({ status: { type: 'string', enum: ['resolved', 'dismissed'] }, reason: REASON }, ['status'])
+  }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { status } = req.body;
+      const { reason } = readReason(req.body, false);
+
+      const report = await db.reports.findById(id);
+      if (!report) {
+        return res.status(404).json({ error: 'Report not found' });
+      }
+
+      const update = { status, resolvedBy: req.user.id, resolvedAt: new Date() };
+      await db.reports.update(id, update);
+      await logAction(req, `report.${status}`, 'report', id, { reason, details: { commentId: report.commentId } });
+
+      res.json({ ...report, ...update });
+    } catch (error) {
+      logger.error('Error updating report', error);
+      res.status(500).json({ error: 'Failed to update report' });
+    }
+  });
+
+  // POST /api/moderation/comments/:id/hide - Hide a comment from regular users
+  router.post('/api/moderation/comments/:id/hide', moderatorOnly, WITH_REQUIRED_REASON, validate({ params: object({ id: ID }) }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { reason, error } = readReason(req.body, true);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const comment = await db.comments.findById(id);
+      if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      const update = {
+        hidden: true,
+        hiddenReason: reason,
+        hiddenBy: req.user.id,
+        hiddenAt: new Date()
+      };
+      await db.comments.update(id, update);
+      await commentChanged(db, comment, { ...comment, ...update });
+      const resolvedReports = await resolveReportsFor(req, id, 'resolved');
+      await logAction(req, 'comment.hide', 'comment', id, { reason, details: { url: comment.url, authorId: comment.authorId, resolvedReports } });
+
+      logger.info('Comment hidden', { commentId: id, userId: req.user.id });
+
+      realtime.toPage(comment.url, 'commentHidden', { commentId: id }, comment.workspaceId);
+
+      res.json({ ...comment, ...update });
+    } catch (error) {
+      logger.error('Error hiding comment', error);
+      res.status(500).json({ error: 'Failed to hide comment' });
+    }
+  });
+
+  // POST /api/moderation/comments/:id/restore - Make a hidden comment visible again
+  router.post('/api/moderation/comments/:id/restore', moderatorOnly, WITH_REASON, validate({ params: object({ id: ID }) }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { reason } = readReason(req.body, false);
+
+      const comment = await db.comments.findById(id);
+      if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      if (!comment.hidden) {
+        return res.status(400).json({ error: 'Comment is not hidden' });
+      }
+
+      if (comment.held) {
+        return res.status(400).json({ error: 'Comment is held for review; approve it instead' });
+      }
+
+      const update = { hidden: false, hiddenReason: null, hiddenBy: null, hiddenAt: null };
+      await db.comments.update(id, update);
+      await logAction(req, 'comment.restore', 'comment', id, { reason, details: { url: comment.url } });
+
+      logger.info('Comment restored', { commentId: id, userId: req.user.id });
+
+      const restored = { ...comment, ...update };
+      await commentChanged(db, comment, restored);
+      realtime.toPage(comment.url, 'commentRestored', { commentId: id, comment: restored }, comment.workspaceId);
+
+      res.json(restored);
+    } catch (error) {
+      logger.error('Error restoring comment', error);
+      res.status(500).json({ error: 'Failed to restore comment' });
+    }
+  });
+
+  // GET /api/moderation/held - Comments held by the spam checks, oldest first
+  router.get('/api/moderation/held', moderatorOnly, async (req, res) => {
+    try {
+      res.json({ comments: await db.comments.listHeld(HELD_QUEUE_SIZE) });
+    } catch (error) {
+      logger.error('Error fetching held comments', error);
+      res.status(500).json({ error: 'Failed to fetch held comments' });
+    }
+  });
+
+  // POST /api/moderation/comments/:id/approve - Publish a held comment (purge it to reject it)
+  router.post('/api/moderation/comments/:id/approve', moderatorOnly, validate({ params: object({ id: ID }) }), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const comment = await db.comments.findById(id);
+      if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      if (!comment.held) {
+        return res.status(400).json({ error: 'Comment is not held' });
+      }
+
+      const update = { held: false, heldReasons: null, hidden: false, hiddenReason: null, hiddenBy: null, hiddenAt: null };
+      await db.comments.update(id, update);
+      await logAction(req, 'comment.approve', 'comment', id, { details: { url: comment.url, authorId: comment.authorId, heldReasons: comment.heldReasons } });
+
+      logger.info('Held comment approved', { commentId: id, userId: req.user.id });
+
+      // Everything that was skipped while it was held happens now
+      const approved = { ...comment, ...update };
+      await commentChanged(db, comment, approved);
+      const parent = approved.parentId ? await db.comments.findById(approved.parentId) : null;
+      await notifier.commentCreated(approved, { parent, mentions: extractMentions(approved.rawText) });
+      realtime.toPage(approved.url, 'newComment', { url: approved.url, comment: approved }, approved.workspaceId);
+      await webhooks.commentEvent('comment.created', approved);
+
+      res.json(approved);
+    } catch (error) {
+      logger.error('Error approving comment', error);
+      res.status(500).json({ error: 'Failed to approve comment' });
+    }
+  });
+
+  // DELETE /api/moderation/comments/:id - Purge a comment and every reply beneath it
+  router.delete('/api/moderation/comments/:id', moderatorOnly, WITH_REQUIRED_REASON, validate({ params: object({ id: ID }) }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { reason, error } = readReason(req.body, true);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const comment = await db.comments.findById(id);
+      if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      const purgedIds = await purgeThread(db, comment);
+      const resolvedReports = await resolveReportsFor(req, id, 'resolved');
+      await logAction(req, 'comment.purge', 'comment', id, {
+        reason,
+        details: { url: comment.url, authorId: comment.authorId, rawText: comment.rawText, purgedIds, resolvedReports }
+      });
+
+      logger.info('Comment purged', { commentId: id, purged: purgedIds.length, userId: req.user.id });
+
+      realtime.toPage(comment.url, 'commentDeleted', { commentId: id, tombstoned: false, purgedIds }, comment.workspaceId);
+      await webhooks.commentDeleted(comment, { tombstoned: false, purgedIds });
+
+      res.json({ success: true, purgedIds });
+    } catch (error) {
+      logger.error('Error purging comment', error);
+      res.status(500).json({ error: 'Failed to purge comment' });
+    }
+  });
+
+  // POST /api/moderation/users/:id/ban - Ban a user from posting (optionally for durationHours)
+  router.post('/api/moderation/users/:id/ban', moderatorOnly, validate({
+    params: object({ id: ID }),
+    body: object({
+      reason: REASON,
+      durationHours: { type: 'number', minimum: 0, exclusiveMinimum: true, description: 'Omit for a permanent ban' }
+    }, ['reason'])
+  }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { durationHours } = req.body;
+      const { reason, error } = readReason(req.body, true);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const user = await db.users.findById(id);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      // Moderators cannot ban their peers; only admins can
+      if (id === req.user.id || (hasRole(user, 'moderator') && !hasRole(req.user, 'admin'))) {
+        return res.status(403).json({ error: 'Not authorized to ban this user' });
+      }
+
+      const ban = {
+        reason,
+        bannedBy: req.user.id,
+        bannedAt: new Date(),
+        expiresAt: durationHours ? new Date(Date.now() + durationHours * 60 * 60 * 1000) : null
+      };
+      await db.users.update(id, { ban });
+      await logAction(req, 'user.ban', 'user', id, { reason, details: { username: user.username, expiresAt: ban.expiresAt } });
+
+      logger.info('User banned', { bannedUserId: id, userId: req.user.id, expiresAt: ban.expiresAt });
+
+      res.json({ userId: id, username: user.username, ban });
+    } catch (error) {
+      logger.error('Error banning user', error);
+      res.status(500).json({ error: 'Failed to ban user' });
+    }
+  });
+
+  // DELETE /api/moderation/users/:id/ban - Lift a ban
+  router.delete('/api/moderation/users/:id/ban', moderatorOnly, WITH_REASON, validate({ params: object({ id: ID }) }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { reason } = readReason(req.body, false);
+
+      const user = await db.users.findById(id);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      if (!user.ban) {
+        return res.status(400).json({ error: 'User is not banned' });
+      }
+
+      await db.users.update(id, { ban: null });
+      await logAction(req, 'user.unban', 'user', id, { reason, details: { username: user.username } });
+
+      res.json({ userId: id, username: user.username, ban: null });
+    } catch (error) {
+      logger.error('Error lifting ban', error);
+      res.status(500).json({ error: 'Failed to lift ban' });
+    }
+  });
+
+  // PUT /api/admin/users/:id/role - Change a user's role. The role is carried in access tokens,
+  // so a change signs the user out everywhere and applies from their next login.
+  router.put('/api/admin/users/:id/role', adminOnly, validate({
+    params: object({ id: ID }),
+    body: object({ role: { type: 'string', enum: ROLES } }, ['role'])
+  }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { role } = req.body;
+
+      const user = await db.users.findById(id);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      await db.users.update(id, { role });
+      await logAction(req, 'user.role', 'user', id, { details: { username: user.username, from: user.role || 'user', to: role } });
+
+      if (role !== (user.role || 'user')) {
+        const revoked = await db.sessions.revokeAllForUser(id, { reason: 'role-change' });
+        realtime.disconnectSessions(id, revoked);
+        logger.info('User role changed', { targetUserId: id, userId: req.user.id, role, revokedSessions: revoked.length });
+      }
+
+      res.json({ userId: id, username: user.username, role });
+    } catch (error) {
+      logger.error('Error changing role', error);
+      res.status(500).json({ error: 'Failed to change role' });
+    }
+  });
+
+  // GET /api/moderation/log - Audit log (?targetId= to filter to one comment or user)
+  router.get('/api/moderation/log', moderatorOnly, validate({
+    query: object({ targetId: { ...ID, description: 'A comment, user or report id' } })
+  }), async (req, res) => {
+    try {
+      const { targetId } = req.query;
+      const entries = await db.moderationLog.list({ targetId });
+      res.json({ entries });
+    } catch (error) {
+      logger.error('Error fetching moderation log', error);
+      res.status(500).json({ error: 'Failed to fetch moderation log' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createModerationRouter };
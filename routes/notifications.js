@@ -0,0 +1,203 @@
+const express = require('express');
+const { canonicalizeUrl } = require('../lib/canonicalUrl');
+const { canAccessComment } = require('../lib/workspaces');
+const { validate, object, PAGE_URL, ID } = require('../lib/validation');
+const { logger } = require('../lib/logger');
+
+const SUBSCRIPTION_TYPES = ['page', 'thread'];
+
+// Notifications, page and thread subscriptions, and thread muting (see lib/notifier.js)
+function createNotificationRouter({ db, authenticateToken }) {
+  const router = express.Router();
+
+  // Helper function to find the top-level comment of the thread a comment belongs to,
+  // if the user may see it
+  async function findThreadRoot(commentId, user) {
+    const comment = await db.comments.findById(commentId);
+    if (!comment || !await canAccessComment(db, comment, user)) return null;
+    if (!comment.parentId) return comment;
+    return (comment.threadId && await db.comments.findById(comment.threadId)) || null;
+  }
+
+  // GET /api/notifications - Get user notifications
+  router.get('/api/notifications', authenticateToken, async (req, res) => {
+    try {
+      const userNotifications = await db.notifications.listForUser(req.user.id, 50);
+
+      res.json(userNotifications);
+    } catch (error) {
+      logger.error('Error fetching notifications', error);
+      res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+  });
+
+  // GET /api/notifications/unread-count - Number of unread notifications
+  router.get('/api/notifications/unread-count', authenticateToken, async (req, res) => {
+    try {
+      res.json({ count: await db.notifications.countUnread(req.user.id) });
+    } catch (error) {
+      logger.error('Error counting notifications', error);
+      res.status(500).json({ error: 'Failed to count notifications' });
+    }
+  });
+
+  // PUT /api/notifications/read-all - Mark every notification as read
+  router.put('/api/notifications/read-all', authenticateToken, async (req, res) => {
+    try {
+      const updated = await db.notifications.markAllRead(req.user.id);
+      res.json({ success: true, updated });
+    } catch (error) {
+      logger.error('Error marking notifications as read', error);
+      res.status(500).json({ error: 'Failed to mark notifications as read' });
+    }
+  });
+
+  // PUT /api/notifications/:id/read - Mark notification as read
+  router.put('/api/notifications/:id/read', authenticateToken, validate({ params: object({ id: ID }) }), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const notification = await db.notifications.findById(id);
+      if (!notification) {
+        return res.status(404).json({ error: 'Notification not found' });
+      }
+
+      // Check if user owns the notification
+      if (notification.userId !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to mark this notification as read' });
+      }
+
+      await db.notifications.update(id, { read: true });
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error marking notification as read', error);
+      res.status(500).json({ error: 'Failed to mark notification as read' });
+    }
+  });
+
+  // GET /api/subscriptions - Pages and threads the user follows or has muted
+  router.get('/api/subscriptions', authenticateToken, async (req, res) => {
+    try {
+      res.json({ subscriptions: await db.subscriptions.listForUser(req.user.id) });
+    } catch (error) {
+      logger.error('Error fetching subscriptions', error);
+      res.status(500).json({ error: 'Failed to fetch subscriptions' });
+    }
+  });
+
+  // POST /api/subscriptions - Follow a page ({ type: 'page', url }) or thread ({ type: 'thread', commentId })
+  router.post('/api/subscriptions', authenticateToken, validate({
+    body: object({
+      type: { type: 'string', enum: SUBSCRIPTION_TYPES },
+      url: { ...PAGE_URL, description: 'Required for page subscriptions' },
+      commentId: { ...ID, description: 'Required for thread subscriptions' }
+    }, ['type'])
+  }), async (req, res) => {
+    try {
+      const { type, url, commentId } = req.body;
+
+      let target;
+      if (type === 'page') {
+        if (!url) {
+          return res.status(400).json({ error: 'URL is required' });
+        }
+        const canonical = canonicalizeUrl(url);
+        target = { key: canonical, url: canonical };
+      } else {
+        if (!commentId) {
+          return res.status(400).json({ error: 'commentId is required' });
+        }
+        // Following any comment in a thread follows the whole thread
+        const root = await findThreadRoot(commentId, req.user);
+        if (!root) {
+          return res.status(404).json({ error: 'Comment not found' });
+        }
+        target = { key: root.id, url: root.url };
+      }
+
+      // Subscribing to a muted thread unmutes it
+      const existing = await db.subscriptions.find(req.user.id, type, target.key);
+      const subscription = await db.subscriptions.save({
+        userId: req.user.id,
+        type,
+        ...target,
+        muted: false,
+        createdAt: existing ? existing.createdAt : new Date()
+      });
+
+      res.status(existing ? 200 : 201).json(subscription);
+    } catch (error) {
+      logger.error('Error creating subscription', error);
+      res.status(500).json({ error: 'Failed to create subscription' });
+    }
+  });
+
+  // DELETE /api/subscriptions/:id - Stop following (or unmute) a page or thread
+  router.delete('/api/subscriptions/:id', authenticateToken, validate({ params: object({ id: ID }) }), async (req, res) => {
+    try {
+      const subscription = await db.subscriptions.findById(req.params.id);
+      if (!subscription || subscription.userId !== req.user.id) {
+        return res.status(404).json({ error: 'Subscription not found' });
+      }
+
+      await db.subscriptions.delete(subscription.id);
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error deleting subscription', error);
+      res.status(500).json({ error: 'Failed to delete subscription' });
+    }
+  });
+
+  // POST /api/comments/:id/mute - Silence a thread, including replies to your own comments in it
+  router.post('/api/comments/:id/mute', authenticateToken, validate({ params: object({ id: ID }) }), async (req, res) => {
+    try {
+      const root = await findThreadRoot(req.params.id, req.user);
+      if (!root) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      const existing = await db.subscriptions.find(req.user.id, 'thread', root.id);
+      const subscription = await db.subscriptions.save({
+        userId: req.user.id,
+        type: 'thread',
+        key: root.id,
+        url: root.url,
+        muted: true,
+        createdAt: existing ? existing.createdAt : new Date()
+      });
+
+      res.json(subscription);
+    } catch (error) {
+      logger.error('Error muting thread', error);
+      res.status(500).json({ error: 'Failed to mute thread' });
+    }
+  });
+
+  // DELETE /api/comments/:id/mute - Unmute a thread
+  router.delete('/api/comments/:id/mute', authenticateToken, validate({ params: object({ id: ID }) }), async (req, res) => {
+    try {
+      const root = await findThreadRoot(req.params.id, req.user);
+      if (!root) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      const existing = await db.subscriptions.find(req.user.id, 'thread', root.id);
+      if (!existing || !existing.muted) {
+        return res.status(400).json({ error: 'Thread is not muted' });
+      }
+
+      await db.subscriptions.delete(existing.id);
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error unmuting thread', error);
+      res.status(500).json({ error: 'Failed to unmute thread' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createNotificationRouter };
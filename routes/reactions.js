@@ -0,0 +1,152 @@
+const express = require('express');
+const { isModerator } = require('../lib/moderation');
+const { REACTIONS } = require('../lib/reactions');
+const { encodeCursor, decodeCursor } = require('../lib/cursor');
+const { canAccessComment } = require('../lib/workspaces');
+const { validate, object, pageSize, CURSOR, ID } = require('../lib/validation');
+const { DOCUMENT_ID } = require('../storage');
+const { logger } = require('../lib/logger');
+
+const PAGE_SIZE = { default: 50, max: 200 };
+const REACTOR_ORDER = [['timestamp', 'asc'], [DOCUMENT_ID, 'asc']];
+const EMOJI = { type: 'string', enum: REACTIONS };
+// Reactions made before an emoji was dropped from REACTIONS can still be listed and taken back
+const ANY_EMOJI = { type: 'string', minLength: 1, maxLength: 64 };
+
+// Emoji reactions on comments (see lib/reactions.js). Reactions don't affect ranking.
+function createReactionRouter({ db, realtime, authenticateToken, optionalAuthenticateToken, rateLimit }) {
+  const router = express.Router();
+
+  // Helper function to load a comment the user may see, or send the matching error
+  async function findVisibleComment(req, res) {
+    const comment = await db.comments.findById(req.params.id);
+    if (!comment || (comment.hidden && !isModerator(req.user)) || !await canAccessComment(db, comment, req.user)) {
+      res.status(404).json({ error: 'Comment not found' });
+      return null;
+    }
+    if (comment.deleted) {
+      res.status(410).json({ error: 'Comment has been deleted' });
+      return null;
+    }
+    return comment;
+  }
+
+  // Helper function to add or remove the user's reaction and tell the page about it
+  async function setReaction(req, res, emoji, add) {
+    const comment = await findVisibleComment(req, res);
+    if (!comment) return;
+
+    const user = { id: req.user.id, username: req.user.username };
+    const result = add
+      ? await db.reactions.react(comment.id, user, emoji)
+      : await db.reactions.unreact(comment.id, user, emoji);
+    if (!result) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (result.changed) {
+      realtime.toPage(comment.url, 'commentReacted', {
+        commentId: comment.id,
+        emoji,
+        action: add ? 'add' : 'remove',
+        userId: user.id,
+        username: user.username,
+        reactionCounts: result.reactionCounts
+      }, comment.workspaceId);
+    }
+
+    res.status(add && result.changed ? 201 : 200).json({
+      commentId: comment.id,
+      emoji,
+      reacted: add,
+      reactionCounts: result.reactionCounts
+    });
+  }
+
+  // GET /api/reactions - The reactions users can choose from
+  router.get('/api/reactions', (req, res) => {
+    res.json({ reactions: REACTIONS });
+  });
+
+  // GET /api/comments/:id/reactions - Reaction counts, and the viewer's own reactions when signed in
+  router.get('/api/comments/:id/reactions', optionalAuthenticateToken, validate({ params: object({ id: ID }) }), async (req, res) => {
+    try {
+      const comment = await findVisibleComment(req, res);
+      if (!comment) return;
+
+      const mine = req.user ? await db.reactions.findMine([comment.id], req.user.id) : new Map();
+
+      res.json({
+        commentId: comment.id,
+        reactionCounts: comment.reactionCounts || {},
+        myReactions: mine.get(comment.id) || []
+      });
+    } catch (error) {
+      logger.error('Error fetching reactions', error);
+      res.status(500).json({ error: 'Failed to fetch reactions' });
+    }
+  });
+
+  // GET /api/comments/:id/reactions/:emoji - Who reacted with an emoji, earliest first (?cursor=, ?limit=)
+  router.get('/api/comments/:id/reactions/:emoji', optionalAuthenticateToken, validate({
+    params: object({ id: ID, emoji: ANY_EMOJI }),
+    query: object({ cursor: CURSOR, limit: pageSize(PAGE_SIZE) })
+  }), async (req, res) => {
+    try {
+      const { emoji } = req.params;
+      const { cursor, limit } = req.query;
+
+      const comment = await findVisibleComment(req, res);
+      if (!comment) return;
+
+      const scope = `reactions:${comment.id}:${emoji}`;
+      const startAfter = cursor ? decodeCursor(cursor, REACTOR_ORDER, scope) : null;
+      if (cursor && !startAfter) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+
+      const reactions = await db.reactions.listByEmoji(comment.id, emoji, { limit: limit + 1, startAfter });
+      const page = reactions.slice(0, limit);
+
+      res.json({
+        commentId: comment.id,
+        emoji,
+        count: (comment.reactionCounts || {})[emoji] || 0,
+        users: page.map(reaction => ({ userId: reaction.userId, username: reaction.username, timestamp: reaction.timestamp })),
+        nextCursor: reactions.length > limit ? encodeCursor(page[page.length - 1], REACTOR_ORDER, scope) : null
+      });
+    } catch (error) {
+      logger.error('Error fetching reactors', error);
+      res.status(500).json({ error: 'Failed to fetch reactions' });
+    }
+  });
+
+  // POST /api/comments/:id/reactions - React to a comment ({ emoji }); reacting twice is a no-op
+  router.post('/api/comments/:id/reactions', authenticateToken, rateLimit('reactions'), validate({
+    params: object({ id: ID }),
+    body: object({ emoji: EMOJI }, ['emoji'])
+  }), async (req, res) => {
+    try {
+      await setReaction(req, res, req.body.emoji, true);
+    } catch (error) {
+      logger.error('Error adding reaction', error);
+      res.status(500).json({ error: 'Failed to add reaction' });
+    }
+  });
+
+  // DELETE /api/comments/:id/reactions/:emoji - Take a reaction back
+  router.delete('/api/comments/:id/reactions/:emoji', authenticateToken, rateLimit('reactions'), validate({
+    params: object({ id: ID, emoji: ANY_EMOJI })
+  }), async (req, res) => {
+    try {
+      await setReaction(req, res, req.params.emoji, false);
+    } catch (error) {
+      logger.error('Error removing reaction', error);
+      res.status(500).json({ error: 'Failed to remove reaction' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createReactionRouter };
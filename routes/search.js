@@ -0,0 +1,195 @@
+const express = require('express');
+const { isModerator } = require('../lib/moderation');
+const { canViewActivity } = require('../lib/profile');
+const { canonicalizeUrl, isUnderUrl } = require('../lib/canonicalUrl');
+const { queryTerms, termScore, highlightSnippet, domainOf } = require('../lib/search');
+const { encodeOffsetCursor, decodeOffsetCursor } = require('../lib/cursor');
+const { workspaceIdsOf } = require('../lib/workspaces');
+const { validate, object, pageSize, PAGE_URL, CURSOR } = require('../lib/validation');
+const { logger } = require('../lib/logger');
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_TERMS = 8;
+const MAX_CANDIDATES = 300; // Postings of the rarest term examined per search
+const RESULTS_TTL_MS = 15 * 60 * 1000; // How long later pages of a search can be fetched
+const PAGE_SIZE = { default: 20, max: 50 };
+
+// Full-text search over comment text, backed by the searchIndex postings
+// (kept current by the comment routes; rebuilt with `npm run search:rebuild`).
+function createSearchRouter({ db, optionalAuthenticateToken, rateLimit }) {
+  const router = express.Router();
+
+  // Helper function to rank the comments containing all of the terms, best match first.
+  // Candidates are the first MAX_CANDIDATES postings of the rarest term (in id order, so
+  // the same search always sees the same ones); each other term's postings for them are
+  // read in batches. truncated says whether the rarest term had more postings than that.
+  async function findMatches(terms, { authorId, domain, urlPrefix, from, to }) {
+    const [counts, totalDocuments] = await Promise.all([
+      Promise.all(terms.map(term => db.searchIndex.countPostings(term, { authorId, domain }))),
+      db.comments.count()
+    ]);
+    if (counts.includes(0)) return { matches: [], truncated: false };
+
+    // Every term must match, so start from the rarest one
+    const rarest = counts.indexOf(Math.min(...counts));
+    const postings = await db.searchIndex.findPostings(terms[rarest], { authorId, domain, limit: MAX_CANDIDATES });
+    const candidates = postings.filter(posting => (!urlPrefix || isUnderUrl(canonicalizeUrl(posting.url), urlPrefix))
+      && !(from && posting.timestamp < from)
+      && !(to && posting.timestamp > to));
+
+    const matches = new Map(candidates.map(posting => [posting.commentId, {
+      commentId: posting.commentId,
+      timestamp: posting.timestamp,
+      relevance: termScore(posting, counts[rarest], totalDocuments)
+    }]));
+
+    for (let i = 0; i < terms.length && matches.size; i++) {
+      if (i === rarest) continue;
+      const found = await db.searchIndex.findPostingsIn(terms[i], Array.from(matches.keys()));
+      const byComment = new Map(found.map(posting => [posting.commentId, posting]));
+      for (const [commentId, match] of matches) {
+        const posting = byComment.get(commentId);
+        if (posting) match.relevance += termScore(posting, counts[i], totalDocuments);
+        else matches.delete(commentId);
+      }
+    }
+
+    return {
+      matches: Array.from(matches.values())
+        .sort((a, b) => (b.relevance - a.relevance) || (b.timestamp - a.timestamp) || (a.commentId < b.commentId ? -1 : 1))
+        .map(({ commentId, relevance }) => ({ commentId, relevance })),
+      truncated: counts[rarest] > postings.length
+    };
+  }
+
+  // GET /api/search - Search comment text (?q=, ?author=, ?domain=, ?url= prefix, ?from=, ?to=, ?minScore=, ?limit=, ?cursor=)
+  router.get('/api/search', optionalAuthenticateToken, rateLimit('search'), validate({
+    query: object({
+      q: { type: 'string', minLength: 1, maxLength: MAX_QUERY_LENGTH, description: 'Words that must all appear' },
+      author: { type: 'string', minLength: 1, maxLength: 100, description: 'Username' },
+      domain: { type: 'string', minLength: 1, maxLength: 253 },
+      url: { ...PAGE_URL, description: 'Only pages under this URL' },
+      from: { type: 'string', format: 'date-time' },
+      to: { type: 'string', format: 'date-time' },
+      minScore: { type: 'integer', description: 'Upvotes minus downvotes' },
+      limit: pageSize(PAGE_SIZE),
+      cursor: CURSOR
+    }, ['q'])
+  }), async (req, res) => {
+    try {
+      const { q, author, domain, url, minScore = null, limit, cursor } = req.query;
+      const from = req.query.from && new Date(req.query.from);
+      const to = req.query.to && new Date(req.query.to);
+
+      const terms = queryTerms(q).slice(0, MAX_QUERY_TERMS);
+      if (!terms.length) {
+        return res.status(400).json({ error: 'Query has no searchable words' });
+      }
+
+      // A URL prefix implies its domain, which narrows the postings read
+      const urlPrefix = url ? canonicalizeUrl(url) : null;
+      const domainFilter = urlPrefix ? domainOf(urlPrefix) : (domain ? domainOf(canonicalizeUrl(domain)) : null);
+      if ((url || domain) && !domainFilter) {
+        return res.status(400).json({ error: 'Invalid domain or URL filter' });
+      }
+
+      let authorId;
+      if (author) {
+        const user = await db.users.findByUsername(author);
+        if (!user) {
+          return res.json({ query: q, results: [], pagination: { limit, totalMatches: 0, hasNextPage: false, nextCursor: null, truncated: false } });
+        }
+        if (!canViewActivity(user, req.user)) {
+          return res.status(403).json({ error: 'This user has hidden their activity' });
+        }
+        authorId = user.id;
+      }
+
+      // Cursors are only valid for the query and filters they were issued for, and point at
+      // the ranked matches stored when the first page was served
+      const scope = `search:${JSON.stringify([terms, authorId, domainFilter, urlPrefix, from, to, minScore])}`;
+      let offset = 0;
+      let stored = null;
+      if (cursor) {
+        const position = decodeOffsetCursor(cursor, scope);
+        if (!position || !position.ref) {
+          return res.status(400).json({ error: 'Invalid cursor' });
+        }
+        stored = await db.searchResults.findLive(position.ref);
+        if (!stored || stored.scope !== scope) {
+          return res.status(400).json({ error: 'These search results have expired; search again', code: 'CURSOR_EXPIRED' });
+        }
+        offset = position.offset;
+      }
+
+      const { matches, truncated } = stored || await findMatches(terms, { authorId, domain: domainFilter, urlPrefix, from, to });
+      const workspaceIds = await workspaceIdsOf(db, req.user);
+
+      // Comments are only read for the page being returned. Hidden comments (except for
+      // moderators), other workspaces' comments and those under minScore are skipped here, since votes and moderation
+      // change more often than the text that was indexed.
+      const results = [];
+      let position = offset;
+      let nextOffset = null;
+      while (position < matches.length && nextOffset === null) {
+        const batch = matches.slice(position, position + limit);
+        const comments = await Promise.all(batch.map(match => db.comments.findById(match.commentId)));
+
+        for (let i = 0; i < batch.length; i++) {
+          const comment = comments[i];
+          if (!comment || comment.deleted) continue;
+          if (comment.hidden && !isModerator(req.user)) continue;
+          if (comment.workspaceId && !workspaceIds.has(comment.workspaceId)) continue;
+
+          const upvotes = comment.upvotes || 0;
+          const downvotes = comment.downvotes || 0;
+          const score = upvotes - downvotes;
+          if (minScore !== null && score < minScore) continue;
+
+          if (results.length === limit) {
+            nextOffset = position + i;
+            break;
+          }
+
+          const { text, ...fields } = comment;
+          results.push({
+            ...fields,
+            upvotes,
+            downvotes,
+            score,
+            snippet: highlightSnippet(comment.rawText, terms),
+            relevance: batch[i].relevance
+          });
+        }
+        position += batch.length;
+      }
+
+      let nextCursor = null;
+      if (nextOffset !== null) {
+        if (!stored) {
+          stored = await db.searchResults.create({ scope, matches, truncated, expiresAt: new Date(Date.now() + RESULTS_TTL_MS) });
+        }
+        nextCursor = encodeOffsetCursor(nextOffset, scope, stored.id);
+      }
+
+      res.json({
+        query: q,
+        results,
+        pagination: {
+          limit,
+          totalMatches: matches.length,
+          hasNextPage: Boolean(nextCursor),
+          nextCursor,
+          truncated
+        }
+      });
+    } catch (error) {
+      logger.error('Error searching comments', error);
+      res.status(500).json({ error: 'Failed to search comments' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSearchRouter };
@@ -0,0 +1,105 @@
+const express = require('express');
+const { describeClient, toPublicSession } = require('../lib/sessions');
+const { validate, object, ID } = require('../lib/validation');
+const { logger } = require('../lib/logger');
+
+const REFRESH_TOKEN = { type: 'string', minLength: 1, maxLength: 512 };
+
+// Token refresh, logout and the signed-in devices list (see lib/sessions.js)
+function createSessionRouter({ db, sessions, realtime, authenticateToken, optionalAuthenticateToken }) {
+  const router = express.Router();
+
+  // Helper function to revoke sessions and drop their open sockets
+  async function revokeSessions(userId, sessionIds) {
+    await Promise.all(sessionIds.map(id => db.sessions.revoke(id)));
+    realtime.disconnectSessions(userId, sessionIds);
+  }
+
+  // POST /api/auth/refresh - Exchange a refresh token for a new access and refresh token
+  router.post('/api/auth/refresh', validate({
+    body: object({ refreshToken: REFRESH_TOKEN }, ['refreshToken'])
+  }), async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+
+      res.json(await sessions.refresh(refreshToken, describeClient(req)));
+    } catch (error) {
+      if (error.code === 'INVALID_REFRESH_TOKEN' || error.code === 'REFRESH_TOKEN_REUSED') {
+        return res.status(401).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error refreshing token', error);
+      res.status(500).json({ error: 'Failed to refresh token' });
+    }
+  });
+
+  // POST /api/auth/logout - End the current session (by access token, or { refreshToken } once it has expired)
+  router.post('/api/auth/logout', optionalAuthenticateToken, validate({
+    body: object({ refreshToken: { ...REFRESH_TOKEN, description: 'Needed only once the access token has expired' } })
+  }), async (req, res) => {
+    try {
+      if (req.user) {
+        // Tokens from before sessions existed have no session to end
+        if (req.user.sid) await revokeSessions(req.user.id, [req.user.sid]);
+      } else {
+        const session = await sessions.revokeByRefreshToken(req.body.refreshToken);
+        if (!session) {
+          return res.status(401).json({ error: 'A valid access or refresh token is required' });
+        }
+        realtime.disconnectSessions(session.userId, [session.id]);
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error logging out', error);
+      res.status(500).json({ error: 'Failed to log out' });
+    }
+  });
+
+  // GET /api/auth/sessions - Devices the user is signed in on
+  router.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+    try {
+      const active = await db.sessions.listActiveForUser(req.user.id);
+      res.json({ sessions: active.map(session => toPublicSession(session, req.user.sid)) });
+    } catch (error) {
+      logger.error('Error fetching sessions', error);
+      res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+  });
+
+  // DELETE /api/auth/sessions/:id - Sign out one device
+  router.delete('/api/auth/sessions/:id', authenticateToken, validate({ params: object({ id: ID }) }), async (req, res) => {
+    try {
+      const session = await db.sessions.findById(req.params.id);
+      if (!db.sessions.isActive(session) || session.userId !== req.user.id) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      await revokeSessions(req.user.id, [session.id]);
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error revoking session', error);
+      res.status(500).json({ error: 'Failed to revoke session' });
+    }
+  });
+
+  // DELETE /api/auth/sessions - Sign out every other device (?includeCurrent=true signs out this one too)
+  router.delete('/api/auth/sessions', authenticateToken, validate({
+    query: object({ includeCurrent: { type: 'boolean', default: false } })
+  }), async (req, res) => {
+    try {
+      const exceptId = req.query.includeCurrent ? null : req.user.sid;
+      const revoked = await db.sessions.revokeAllForUser(req.user.id, { exceptId });
+      realtime.disconnectSessions(req.user.id, revoked);
+
+      res.json({ success: true, revoked: revoked.length });
+    } catch (error) {
+      logger.error('Error revoking sessions', error);
+      res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSessionRouter };
@@ -0,0 +1,88 @@
+const express = require('express');
+const { isModerator } = require('../lib/moderation');
+const { toPublicProfile, canViewActivity } = require('../lib/profile');
+const { SORT_ORDERS } = require('../lib/ranking');
+const { encodeCursor, decodeCursor } = require('../lib/cursor');
+const { workspaceIdsOf } = require('../lib/workspaces');
+const { validate, object, pageSize, CURSOR } = require('../lib/validation');
+const { logger } = require('../lib/logger');
+
+const PAGE_SIZE = { default: 20, max: 100 };
+const USERNAME = { type: 'string', minLength: 1, maxLength: 100 };
+
+// Public user profiles and activity feeds. Profiles are edited through PATCH /api/auth/me.
+function createUserRouter({ db, optionalAuthenticateToken }) {
+  const router = express.Router();
+
+  // GET /api/users/:username - Public profile with comment count and karma
+  router.get('/api/users/:username', validate({ params: object({ username: USERNAME }) }), async (req, res) => {
+    try {
+      const user = await db.users.findByUsername(req.params.username);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const commentCount = await db.comments.countByAuthor(user.id);
+
+      res.json({ user: toPublicProfile(user, { commentCount }) });
+    } catch (error) {
+      logger.error('Error fetching user profile', error);
+      res.status(500).json({ error: 'Failed to fetch user profile' });
+    }
+  });
+
+  // GET /api/users/:username/comments - A user's comments across all pages, newest first (?cursor=, ?limit=)
+  router.get('/api/users/:username/comments', optionalAuthenticateToken, validate({
+    params: object({ username: USERNAME }),
+    query: object({ cursor: CURSOR, limit: pageSize(PAGE_SIZE) })
+  }), async (req, res) => {
+    try {
+      const { cursor, limit } = req.query;
+
+      const user = await db.users.findByUsername(req.params.username);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      if (!canViewActivity(user, req.user)) {
+        return res.status(403).json({ error: 'This user has hidden their activity' });
+      }
+
+      const orderBy = SORT_ORDERS.new;
+      const startAfter = cursor ? decodeCursor(cursor, orderBy, `author:${user.id}`) : null;
+      if (cursor && !startAfter) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+
+      const comments = await db.comments.listByAuthor(user.id, { limit: limit + 1, startAfter });
+      const page = comments.slice(0, limit);
+      const hasNextPage = comments.length > limit;
+
+      // Hidden comments drop out of the feed, except for moderators, and so do comments
+      // in workspaces the viewer doesn't belong to
+      const workspaceIds = await workspaceIdsOf(db, req.user);
+      const visible = page.filter(comment => (!comment.hidden || isModerator(req.user))
+        && (!comment.workspaceId || workspaceIds.has(comment.workspaceId)));
+
+      res.json({
+        comments: visible.map(comment => {
+          const upvotes = comment.upvotes || 0;
+          const downvotes = comment.downvotes || 0;
+          return { ...comment, upvotes, downvotes, score: upvotes - downvotes, revisionCount: comment.revisionCount || 0 };
+        }),
+        pagination: {
+          limit,
+          hasNextPage,
+          nextCursor: hasNextPage ? encodeCursor(page[page.length - 1], orderBy, `author:${user.id}`) : null
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching user comments', error);
+      res.status(500).json({ error: 'Failed to fetch user comments' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createUserRouter };
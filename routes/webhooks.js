@@ -0,0 +1,331 @@
+const express = require('express');
+const { hasWorkspaceRole } = require('../lib/workspaces');
+const { encodeCursor, decodeCursor } = require('../lib/cursor');
+const { validate, object, pageSize, CURSOR, ID, MAX_URL_LENGTH } = require('../lib/validation');
+const { DOCUMENT_ID } = require('../storage');
+const {
+  WEBHOOK_EVENTS,
+  deleteWebhook,
+  generateSecret,
+  checkTargetUrl,
+  toPublicWebhook
+} = require('../lib/webhooks');
+const { logger } = require('../lib/logger');
+
+const MAX_WEBHOOKS = 20; // per user, and per workspace
+const MAX_FILTERS = 20;
+const MAX_FILTER_LENGTH = 500;
+const MAX_DESCRIPTION_LENGTH = 200;
+const DOMAIN_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+const DELIVERY_ORDER = [['createdAt', 'desc'], [DOCUMENT_ID, 'desc']];
+const PAGE_SIZE = { default: 20, max: 100 };
+
+const FILTERS = { type: 'array', maxItems: MAX_FILTERS, items: { type: 'string', minLength: 1, maxLength: MAX_FILTER_LENGTH } };
+const WEBHOOK_FIELDS = {
+  url: { type: 'string', format: 'uri', maxLength: MAX_URL_LENGTH, description: 'Where deliveries are POSTed' },
+  events: { type: 'array', minItems: 1, items: { type: 'string', enum: WEBHOOK_EVENTS } },
+  domains: { ...FILTERS, description: 'Only pages on these domains ("example.com" or "*.example.com")' },
+  urls: { ...FILTERS, description: 'Only pages under these URL prefixes' },
+  description: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH },
+  active: { type: 'boolean' }
+};
+
+// Outgoing webhooks (see lib/webhooks.js). Personal webhooks are managed by their owner,
+// workspace webhooks by the workspace's owner.
+function createWebhookRouter({ db, webhooks, authenticateToken, allowPrivateUrls }) {
+  const router = express.Router();
+
+  // Helper function to normalize webhook fields and check what the schemas can't: the
+  // target URL and domain patterns. Defaults are filled in on create (partial false).
+  function readWebhook(body, partial) {
+    const webhook = {};
+
+    if (body.url !== undefined) {
+      const error = checkTargetUrl(body.url, { allowPrivate: allowPrivateUrls });
+      if (error) return { error };
+      webhook.url = body.url;
+    }
+
+    if (body.events !== undefined) {
+      webhook.events = Array.from(new Set(body.events));
+    }
+
+    for (const field of ['domains', 'urls']) {
+      if (body[field] === undefined) {
+        if (!partial) webhook[field] = [];
+        continue;
+      }
+      webhook[field] = body[field].map(value => value.trim());
+      if (webhook[field].some(value => !value)) {
+        return { error: `${field} must not contain blank patterns` };
+      }
+    }
+    if (webhook.domains) {
+      webhook.domains = webhook.domains.map(domain => domain.toLowerCase());
+      if (webhook.domains.some(domain => !DOMAIN_PATTERN.test(domain))) {
+        return { error: 'domains must look like "example.com" or "*.example.com"' };
+      }
+    }
+
+    if (body.description !== undefined) {
+      webhook.description = body.description.trim();
+    } else if (!partial) {
+      webhook.description = '';
+    }
+
+    if (body.active !== undefined) {
+      webhook.active = body.active;
+    } else if (!partial) {
+      webhook.active = true;
+    }
+
+    return { webhook };
+  }
+
+  // Helper function to check the user may manage a workspace's webhooks
+  async function isWorkspaceOwner(workspaceId, user) {
+    return hasWorkspaceRole(await db.workspaceMembers.find(workspaceId, user.id), 'owner');
+  }
+
+  // Helper function to load a webhook the user manages, or send 404
+  async function loadWebhook(req, res) {
+    const webhook = await db.webhooks.findById(req.params.id);
+    const allowed = webhook && (webhook.workspaceId
+      ? await isWorkspaceOwner(webhook.workspaceId, req.user)
+      : webhook.ownerId === req.user.id);
+    if (!allowed) {
+      res.status(404).json({ error: 'Webhook not found' });
+      return null;
+    }
+    return webhook;
+  }
+
+  // Helper function to load one of a webhook's deliveries, or send 404
+  async function loadDelivery(req, res, webhook) {
+    const delivery = await db.webhookDeliveries.findById(req.params.deliveryId);
+    if (!delivery || delivery.webhookId !== webhook.id) {
+      res.status(404).json({ error: 'Delivery not found' });
+      return null;
+    }
+    return delivery;
+  }
+
+  // GET /api/webhooks/events - Events a webhook can subscribe to
+  router.get('/api/webhooks/events', (req, res) => {
+    res.json({ events: WEBHOOK_EVENTS });
+  });
+
+  // POST /api/webhooks - Register a webhook ({ url, events, domains, urls, description, workspaceId })
+  // The signing secret is only returned here and by rotate-secret.
+  router.post('/api/webhooks', authenticateToken, validate({
+    body: object({ ...WEBHOOK_FIELDS, workspaceId: { ...ID, description: 'Register it for a workspace you own' } }, ['url', 'events'])
+  }), async (req, res) => {
+    try {
+      const { webhook, error } = readWebhook(req.body, false);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const workspaceId = req.body.workspaceId || null;
+      if (workspaceId && !await isWorkspaceOwner(workspaceId, req.user)) {
+        return res.status(403).json({ error: 'Only the workspace owner can add webhooks to it' });
+      }
+
+      const existing = workspaceId ? await db.webhooks.listForWorkspace(workspaceId) : await db.webhooks.listForOwner(req.user.id);
+      if (existing.length >= MAX_WEBHOOKS) {
+        return res.status(400).json({ error: `At most ${MAX_WEBHOOKS} webhooks can be registered` });
+      }
+
+      const created = await db.webhooks.create({
+        ...webhook,
+        ownerId: req.user.id,
+        workspaceId,
+        secret: generateSecret(),
+        createdAt: new Date()
+      });
+
+      logger.info('Webhook registered', { webhookId: created.id, userId: req.user.id, events: webhook.events });
+
+      res.status(201).json(created);
+    } catch (error) {
+      logger.error('Error creating webhook', error);
+      res.status(500).json({ error: 'Failed to create webhook' });
+    }
+  });
+
+  // GET /api/webhooks - Your webhooks, or a workspace's (?workspaceId=)
+  router.get('/api/webhooks', authenticateToken, validate({
+    query: object({ workspaceId: ID })
+  }), async (req, res) => {
+    try {
+      const { workspaceId } = req.query;
+
+      if (workspaceId && !await isWorkspaceOwner(workspaceId, req.user)) {
+        return res.status(403).json({ error: 'Only the workspace owner can see its webhooks' });
+      }
+
+      const list = workspaceId ? await db.webhooks.listForWorkspace(workspaceId) : await db.webhooks.listForOwner(req.user.id);
+
+      res.json({ webhooks: list.map(toPublicWebhook) });
+    } catch (error) {
+      logger.error('Error fetching webhooks', error);
+      res.status(500).json({ error: 'Failed to fetch webhooks' });
+    }
+  });
+
+  // GET /api/webhooks/:id - One webhook
+  router.get('/api/webhooks/:id', authenticateToken, validate({ params: object({ id: ID }) }), async (req, res) => {
+    try {
+      const webhook = await loadWebhook(req, res);
+      if (!webhook) return;
+
+      res.json(toPublicWebhook(webhook));
+    } catch (error) {
+      logger.error('Error fetching webhook', error);
+      res.status(500).json({ error: 'Failed to fetch webhook' });
+    }
+  });
+
+  // PATCH /api/webhooks/:id - Change a webhook's url, events, filters, description or active flag
+  router.patch('/api/webhooks/:id', authenticateToken, validate({
+    params: object({ id: ID }),
+    body: object(WEBHOOK_FIELDS)
+  }), async (req, res) => {
+    try {
+      const webhook = await loadWebhook(req, res);
+      if (!webhook) return;
+
+      const { webhook: update, error } = readWebhook(req.body, true);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      update.updatedAt = new Date();
+      await db.webhooks.update(webhook.id, update);
+
+      res.json(toPublicWebhook({ ...webhook, ...update }));
+    } catch (error) {
+      logger.error('Error updating webhook', error);
+      res.status(500).json({ error: 'Failed to update webhook' });
+    }
+  });
+
+  // DELETE /api/webhooks/:id - Remove a webhook and its delivery log
+  router.delete('/api/webhooks/:id', authenticateToken, validate({ params: object({ id: ID }) }), async (req, res) => {
+    try {
+      const webhook = await loadWebhook(req, res);
+      if (!webhook) return;
+
+      await deleteWebhook(db, webhook);
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error deleting webhook', error);
+      res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+  });
+
+  // POST /api/webhooks/:id/rotate-secret - Issue a new signing secret; the old one stops working at once
+  router.post('/api/webhooks/:id/rotate-secret', authenticateToken, validate({ params: object({ id: ID }) }), async (req, res) => {
+    try {
+      const webhook = await loadWebhook(req, res);
+      if (!webhook) return;
+
+      const secret = generateSecret();
+      await db.webhooks.update(webhook.id, { secret, updatedAt: new Date() });
+
+      res.json({ ...webhook, secret });
+    } catch (error) {
+      logger.error('Error rotating webhook secret', error);
+      res.status(500).json({ error: 'Failed to rotate webhook secret' });
+    }
+  });
+
+  // POST /api/webhooks/:id/ping - Queue a ping delivery to check the receiver
+  router.post('/api/webhooks/:id/ping', authenticateToken, validate({ params: object({ id: ID }) }), async (req, res) => {
+    try {
+      const webhook = await loadWebhook(req, res);
+      if (!webhook) return;
+
+      if (!webhook.active) {
+        return res.status(400).json({ error: 'Webhook is disabled' });
+      }
+
+      res.status(202).json(await webhooks.ping(webhook));
+    } catch (error) {
+      logger.error('Error pinging webhook', error);
+      res.status(500).json({ error: 'Failed to ping webhook' });
+    }
+  });
+
+  // GET /api/webhooks/:id/deliveries - Delivery log, newest first (?cursor=, ?limit=)
+  router.get('/api/webhooks/:id/deliveries', authenticateToken, validate({
+    params: object({ id: ID }),
+    query: object({ cursor: CURSOR, limit: pageSize(PAGE_SIZE) })
+  }), async (req, res) => {
+    try {
+      const { cursor, limit } = req.query;
+
+      const webhook = await loadWebhook(req, res);
+      if (!webhook) return;
+
+      const scope = `deliveries:${webhook.id}`;
+      const startAfter = cursor ? decodeCursor(cursor, DELIVERY_ORDER, scope) : null;
+      if (cursor && !startAfter) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+
+      const deliveries = await db.webhookDeliveries.listForWebhook(webhook.id, { orderBy: DELIVERY_ORDER, limit: limit + 1, startAfter });
+      const page = deliveries.slice(0, limit);
+
+      res.json({
+        // Payloads and response bodies are left to GET .../deliveries/:deliveryId
+        deliveries: page.map(({ payload, responseBody, ...delivery }) => delivery),
+        nextCursor: deliveries.length > limit ? encodeCursor(page[page.length - 1], DELIVERY_ORDER, scope) : null
+      });
+    } catch (error) {
+      logger.error('Error fetching webhook deliveries', error);
+      res.status(500).json({ error: 'Failed to fetch deliveries' });
+    }
+  });
+
+  // GET /api/webhooks/:id/deliveries/:deliveryId - One delivery with its payload and the receiver's response
+  router.get('/api/webhooks/:id/deliveries/:deliveryId', authenticateToken, validate({ params: object({ id: ID, deliveryId: ID }) }), async (req, res) => {
+    try {
+      const webhook = await loadWebhook(req, res);
+      if (!webhook) return;
+
+      const delivery = await loadDelivery(req, res, webhook);
+      if (!delivery) return;
+
+      res.json(delivery);
+    } catch (error) {
+      logger.error('Error fetching webhook delivery', error);
+      res.status(500).json({ error: 'Failed to fetch delivery' });
+    }
+  });
+
+  // POST /api/webhooks/:id/deliveries/:deliveryId/redeliver - Send a delivery's payload again
+  router.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', authenticateToken, validate({ params: object({ id: ID, deliveryId: ID }) }), async (req, res) => {
+    try {
+      const webhook = await loadWebhook(req, res);
+      if (!webhook) return;
+
+      const delivery = await loadDelivery(req, res, webhook);
+      if (!delivery) return;
+
+      if (!webhook.active) {
+        return res.status(400).json({ error: 'Webhook is disabled' });
+      }
+
+      res.status(202).json(await webhooks.redeliver(webhook, delivery));
+    } catch (error) {
+      logger.error('Error redelivering webhook', error);
+      res.status(500).json({ error: 'Failed to redeliver' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createWebhookRouter };
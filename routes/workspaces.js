@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const express = require('express');
+const { WORKSPACE_ROLES, hasWorkspaceRole } = require('../lib/workspaces');
+const { purgeThread } = require('../lib/commentDeletion');
+const { deleteWebhook } = require('../lib/webhooks');
+const { validate, object, ID } = require('../lib/validation');
+const { logger } = require('../lib/logger');
+
+const MAX_NAME_LENGTH = 80;
+const MAX_INVITE_HOURS = 30 * 24;
+
+const WITH_NAME = validate({
+  body: object({ name: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH } }, ['name'])
+});
+
+// Workspaces, their members and invites (see lib/workspaces.js)
+function createWorkspaceRouter({ db, realtime, authenticateToken, appUrl }) {
+  const router = express.Router();
+
+  // Helper function to read a workspace name (a blank one counts as missing)
+  function readName(body) {
+    const name = body.name.trim();
+    if (!name) return { error: 'Name is required' };
+    return { name };
+  }
+
+  // Helper function to load a workspace with the caller's membership, or send 404/403.
+  // Non-members get a 404 so workspace ids can't be probed.
+  async function loadWorkspace(req, res, role = 'member') {
+    const [workspace, membership] = await Promise.all([
+      db.workspaces.findById(req.params.id),
+      db.workspaceMembers.find(req.params.id, req.user.id)
+    ]);
+    if (!workspace || !membership) {
+      res.status(404).json({ error: 'Workspace not found' });
+      return null;
+    }
+    if (!hasWorkspaceRole(membership, role)) {
+      res.status(403).json({ error: `Workspace ${role} access required` });
+      return null;
+    }
+    return { workspace, membership };
+  }
+
+  // Helper function to take a user out of a workspace, along with their live rooms and
+  // notifications about its comments
+  async function removeMember(workspaceId, userId) {
+    await db.workspaceMembers.delete(workspaceId, userId);
+    await db.notifications.deleteForWorkspace(userId, workspaceId);
+    realtime.setWorkspaceAccess(userId, workspaceId, false);
+  }
+
+  // POST /api/workspaces - Create a workspace; the creator becomes its owner
+  router.post('/api/workspaces', authenticateToken, WITH_NAME, async (req, res) => {
+    try {
+      const { name, error } = readName(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const now = new Date();
+      const workspace = await db.workspaces.create({ name, ownerId: req.user.id, createdAt: now });
+      await db.workspaceMembers.save({
+        workspaceId: workspace.id,
+        userId: req.user.id,
+        username: req.user.username,
+        role: 'owner',
+        invitedBy: null,
+        joinedAt: now
+      });
+      realtime.setWorkspaceAccess(req.user.id, workspace.id, true);
+
+      res.status(201).json({ ...workspace, role: 'owner' });
+    } catch (error) {
+      logger.error('Error creating workspace', error);
+      res.status(500).json({ error: 'Failed to create workspace' });
+    }
+  });
+
+  // GET /api/workspaces - Workspaces the user belongs to, with their role in each
+  router.get('/api/workspaces', authenticateToken, async (req, res) => {
+    try {
+      const memberships = await db.workspaceMembers.listForUser(req.user.id);
+      const roles = new Map(memberships.map(membership => [membership.workspaceId, membership.role]));
+      const workspaces = await db.workspaces.findByIds(Array.from(roles.keys()));
+
+      res.json({ workspaces: workspaces.map(workspace => ({ ...workspace, role: roles.get(workspace.id) })) });
+    } catch (error) {
+      logger.error('Error fetching workspaces', error);
+      res.status(500).json({ error: 'Failed to fetch workspaces' });
+    }
+  });
+
+  // GET /api/workspaces/:id - One workspace with its member count
+  router.get('/api/workspaces/:id', authenticateToken, validate({ params: object({ id: ID }) }), async (req, res) => {
+    try {
+      const loaded = await loadWorkspace(req, res);
+      if (!loaded) return;
+
+      const memberCount = await db.workspaceMembers.countForWorkspace(loaded.workspace.id);
+
+      res.json({ ...loaded.workspace, role: loaded.membership.role, memberCount });
+    } catch (error) {
+      logger.error('Error fetching workspace', error);
+      res.status(500).json({ error: 'Failed to fetch workspace' });
+    }
+  });
+
+  // PATCH /api/workspaces/:id - Rename a workspace
+  router.patch('/api/workspaces/:id', authenticateToken, WITH_NAME, validate({ params: object({ id: ID }) }), async (req, res) => {
+    try {
+      const loaded = await loadWorkspace(req, res, 'admin');
+      if (!loaded) return;
+
+      const { name, error } = readName(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      await db.workspaces.update(loaded.workspace.id, { name });
+
+      res.json({ ...loaded.workspace, name, role: loaded.membership.role });
+    } catch (error) {
+      logger.error('Error updating workspace', error);
+      res.status(500).json({ error: 'Failed to update workspace' });
+    }
+  });
+
+  // DELETE /api/workspaces/:id - Delete a workspace with all of its comments, members, invites and webhooks
+  router.delete('/api/workspaces/:id', authenticateToken, validate({ params: object({ id: ID }) }), async (req, res) => {
+    try {
+      const loaded = await loadWorkspace(req, res, 'owner');
+      if (!loaded) return;
+      const workspaceId = loaded.workspace.id;
+
+      // Purging each thread from its top-level comment takes the replies with it
+      const threads = await db.comments.listWorkspaceThreads(workspaceId);
+      let purged = 0;
+      for (const thread of threads) {
+        purged += (await purgeThread(db, thread)).length;
+      }
+
+      const members = await db.workspaceMembers.listForWorkspace(workspaceId);
+      await Promise.all(members.map(member => removeMember(workspaceId, member.userId)));
+      await db.workspaceInvites.deleteForWorkspace(workspaceId);
+      const workspaceWebhooks = await db.webhooks.listForWorkspace(workspaceId);
+      await Promise.all(workspaceWebhooks.map(webhook => deleteWebhook(db, webhook)));
+      await db.workspaces.delete(workspaceId);
+
+      logger.info('Workspace deleted', { workspaceId, userId: req.user.id, purged });
+
+      res.json({ success: true, purgedComments: purged });
+    } catch (error) {
+      logger.error('Error deleting workspace', error);
+      res.status(500).json({ error: 'Failed to delete workspace' });
+    }
+  });
+
+  // GET /api/workspaces/:id/members - Members and their roles, earliest first
+  router.get('/api/workspaces/:id/members', authenticateToken, validate({ params: object({ id: ID }) }), async (req, res) => {
+    try {
+      const loaded = await loadWorkspace(req, res);
+      if (!loaded) return;
+
+      res.json({ members: await db.workspaceMembers.listForWorkspace(loaded.workspace.id) });
+    } catch (error) {
+      logger.error('Error fetching workspace members', error);
+      res.status(500).json({ error: 'Failed to fetch workspace members' });
+    }
+  });
+
+  // PUT /api/workspaces/:id/members/:userId - Change a member's role (owner only).
+  // Making someone else the owner hands the workspace over; the old owner becomes an admin.
+  router.put('/api/workspaces/:id/members/:userId', authenticateToken, validate({
+    params: object({ id: ID, userId: ID }),
+    body: object({ role: { type: 'string', enum: WORKSPACE_ROLES } }, ['role'])
+  }), async (req, res) => {
+    try {
+      const { role } = req.body;
+
+      const loaded = await loadWorkspace(req, res, 'owner');
+      if (!loaded) return;
+      const workspaceId = loaded.workspace.id;
+
+      if (req.params.userId === req.user.id) {
+        return res.status(400).json({ error: 'Hand ownership to another member instead of changing your own role' });
+      }
+
+      const member = await db.workspaceMembers.find(workspaceId, req.params.userId);
+      if (!member) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+
+      await db.workspaceMembers.update(workspaceId, member.userId, { role });
+      if (role === 'owner') {
+        await db.workspaceMembers.update(workspaceId, req.user.id, { role: 'admin' });
+        await db.workspaces.update(workspaceId, { ownerId: member.userId });
+      }
+
+      res.json({ ...member, role });
+    } catch (error) {
+      logger.error('Error changing workspace role', error);
+      res.status(500).json({ error: 'Failed to change role' });
+    }
+  });
+
+  // DELETE /api/workspaces/:id/members/:userId - Remove a member (admins), or leave (yourself)
+  router.delete('/api/workspaces/:id/members/:userId', authenticateToken, validate({ params: object({ id: ID, userId: ID }) }), async (req, res) => {
+    try {
+      const leaving = req.params.userId === req.user.id;
+      const loaded = await loadWorkspace(req, res, leaving ? 'member' : 'admin');
+      if (!loaded) return;
+      const workspaceId = loaded.workspace.id;
+
+      const member = leaving ? loaded.membership : await db.workspaceMembers.find(workspaceId, req.params.userId);
+      if (!member) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+
+      if (member.role === 'owner') {
+        return res.status(400).json({ error: 'The owner cannot leave; hand ownership to another member or delete the workspace' });
+      }
+
+      // Admins can remove members; only the owner can remove admins
+      if (!leaving && member.role === 'admin' && !hasWorkspaceRole(loaded.membership, 'owner')) {
+        return res.status(403).json({ error: 'Only the owner can remove admins' });
+      }
+
+      await removeMember(workspaceId, member.userId);
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error removing workspace member', error);
+      res.status(500).json({ error: 'Failed to remove member' });
+    }
+  });
+
+  // POST /api/workspaces/:id/invites - Create an invite code ({ role, expiresInHours, maxUses })
+  // The code is only ever returned here.
+  router.post('/api/workspaces/:id/invites', authenticateToken, validate({
+    params: object({ id: ID }),
+    body: object({
+      role: { type: 'string', enum: ['member', 'admin'], default: 'member' },
+      expiresInHours: { type: 'number', minimum: 0, exclusiveMinimum: true, maximum: MAX_INVITE_HOURS, default: 7 * 24 },
+      maxUses: { type: 'integer', minimum: 1, nullable: true, default: null, description: 'null for unlimited' }
+    })
+  }), async (req, res) => {
+    try {
+      const { role, expiresInHours, maxUses } = req.body;
+
+      const loaded = await loadWorkspace(req, res, 'admin');
+      if (!loaded) return;
+
+      // Only the owner can hand out admin rights
+      if (role === 'admin' && !hasWorkspaceRole(loaded.membership, 'owner')) {
+        return res.status(403).json({ error: 'Only the owner can invite admins' });
+      }
+
+      const code = crypto.randomBytes(12).toString('base64url');
+      const now = new Date();
+      const invite = await db.workspaceInvites.create(code, {
+        workspaceId: loaded.workspace.id,
+        role,
+        createdBy: req.user.id,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + expiresInHours * 60 * 60 * 1000),
+        maxUses,
+        uses: 0
+      });
+
+      res.status(201).json({ ...invite, code, url: `${appUrl}/join/${code}` });
+    } catch (error) {
+      logger.error('Error creating workspace invite', error);
+      res.status(500).json({ error: 'Failed to create invite' });
+    }
+  });
+
+  // GET /api/workspaces/:id/invites - Outstanding invites (without their codes)
+  router.get('/api/workspaces/:id/invites', authenticateToken, validate({ params: object({ id: ID }) }), async (req, res) => {
+    try {
+      const loaded = await loadWorkspace(req, res, 'admin');
+      if (!loaded) return;
+
+      res.json({ invites: await db.workspaceInvites.listForWorkspace(loaded.workspace.id) });
+    } catch (error) {
+      logger.error('Error fetching workspace invites', error);
+      res.status(500).json({ error: 'Failed to fetch invites' });
+    }
+  });
+
+  // DELETE /api/workspaces/:id/invites/:inviteId - Revoke an invite
+  router.delete('/api/workspaces/:id/invites/:inviteId', authenticateToken, validate({ params: object({ id: ID, inviteId: ID }) }), async (req, res) => {
+    try {
+      const loaded = await loadWorkspace(req, res, 'admin');
+      if (!loaded) return;
+
+      const invite = await db.workspaceInvites.findById(req.params.inviteId);
+      if (!invite || invite.workspaceId !== loaded.workspace.id) {
+        return res.status(404).json({ error: 'Invite not found' });
+      }
+
+      await db.workspaceInvites.delete(invite.id);
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error revoking workspace invite', error);
+      res.status(500).json({ error: 'Failed to revoke invite' });
+    }
+  });
+
+  // POST /api/workspaces/join - Join a workspace with an invite code ({ code })
+  router.post('/api/workspaces/join', authenticateToken, validate({
+    body: object({ code: { type: 'string', minLength: 1, maxLength: 200 } }, ['code'])
+  }), async (req, res) => {
+    try {
+      const { code } = req.body;
+
+      if (!code.trim()) {
+        return res.status(400).json({ error: 'Invite code is required' });
+      }
+
+      const result = await db.workspaceInvites.redeem(code.trim(), { id: req.user.id, username: req.user.username }, new Date());
+      if (result.error === 'invalid') {
+        return res.status(404).json({ error: 'Invite not found' });
+      }
+      if (result.error) {
+        return res.status(410).json({ error: result.error === 'expired' ? 'Invite has expired' : 'Invite has been used up' });
+      }
+
+      realtime.setWorkspaceAccess(req.user.id, result.workspaceId, true);
+      const workspace = await db.workspaces.findById(result.workspaceId);
+
+      res.status(result.joined ? 201 : 200).json({ ...workspace, role: result.membership.role });
+    } catch (error) {
+      logger.error('Error joining workspace', error);
+      res.status(500).json({ error: 'Failed to join workspace' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createWorkspaceRouter };
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+// Set threadId on every comment: null for top-level comments, otherwise the id
+// of the top-level comment the reply belongs to. Threaded listings page replies
+// by threadId, so replies written before it existed are invisible until this runs.
+// Also sets workspaceId (null for public comments) to match the thread's root:
+// listings filter on it, and documents without the field never match.
+// Safe to re-run; only comments whose threadId or workspaceId is wrong are written.
+//
+// Usage: node scripts/backfill-thread-ids.js [--dry-run]
+
+require('dotenv').config();
+
+const { createStore } = require('../storage');
+const { createRepositories } = require('../repositories');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  const store = createStore();
+  const db = createRepositories(store);
+
+  console.log(`Storage backend: ${store.backend}${dryRun ? ' (dry run)' : ''}`);
+
+  const comments = await db.comments.findAll();
+  const byId = new Map(comments.map(comment => [comment.id, comment]));
+
+  // Walk up the parent chain; a missing parent makes the topmost comment found the root
+  function findRoot(comment) {
+    const seen = new Set();
+    let current = comment;
+    while (current.parentId && byId.has(current.parentId) && !seen.has(current.id)) {
+      seen.add(current.id);
+      current = byId.get(current.parentId);
+    }
+    return current;
+  }
+
+  let updated = 0;
+
+  for (const comment of comments) {
+    const root = findRoot(comment);
+    const threadId = comment.parentId ? root.id : null;
+    const workspaceId = root.workspaceId || null;
+    if (comment.threadId === threadId && comment.workspaceId === workspaceId) continue;
+
+    updated++;
+    const show = (value) => value === undefined ? '(none)' : value;
+    console.log(`  ${comment.id}: thread ${show(comment.threadId)} -> ${threadId}, workspace ${show(comment.workspaceId)} -> ${workspaceId}`);
+    if (!dryRun) {
+      await db.comments.update(comment.id, { threadId, workspaceId });
+    }
+  }
+
+  console.log(`Comments: ${updated} of ${comments.length} ${dryRun ? 'would be updated' : 'updated'}`);
+  await store.close();
+}
+
+main().catch(error => {
+  console.error('Thread id backfill failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+// Recompute the denormalized upvotes/downvotes counters on every comment from
+// the votes collection, along with the sort keys derived from them (score,
+// wilson, hot, controversy). Comments missing a sort key do not appear in
+// listings sorted by it. Each user's karma is then reset to the total score of
+// their comments. Safe to re-run; only documents that are out of date are written.
+//
+// Usage: node scripts/backfill-vote-counts.js [--dry-run]
+
+require('dotenv').config();
+
+const { createStore } = require('../storage');
+const { createRepositories } = require('../repositories');
+const { rankFields } = require('../lib/ranking');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  const store = createStore();
+  const db = createRepositories(store);
+
+  console.log(`Storage backend: ${store.backend}${dryRun ? ' (dry run)' : ''}`);
+
+  const tallies = new Map(); // comment id -> { upvotes, downvotes }
+  for (const vote of await db.votes.findAll()) {
+    if (!tallies.has(vote.commentId)) tallies.set(vote.commentId, { upvotes: 0, downvotes: 0 });
+    const tally = tallies.get(vote.commentId);
+    if (vote.voteType === 'up') tally.upvotes++;
+    else if (vote.voteType === 'down') tally.downvotes++;
+  }
+
+  const comments = await db.comments.findAll();
+  const karma = new Map(); // user id -> total score of their comments
+  let updated = 0;
+
+  for (const comment of comments) {
+    const { upvotes, downvotes } = tallies.get(comment.id) || { upvotes: 0, downvotes: 0 };
+    const patch = { upvotes, downvotes, ...rankFields(upvotes, downvotes, comment.timestamp) };
+    if (comment.authorId) karma.set(comment.authorId, (karma.get(comment.authorId) || 0) + patch.score);
+    if (Object.entries(patch).every(([field, value]) => comment[field] === value)) continue;
+
+    updated++;
+    console.log(`  ${comment.id}: ${comment.upvotes || 0}/${comment.downvotes || 0} -> ${upvotes}/${downvotes}`);
+    if (!dryRun) {
+      await db.comments.update(comment.id, patch);
+    }
+  }
+
+  console.log(`Comments: ${updated} of ${comments.length} ${dryRun ? 'would be updated' : 'updated'}`);
+
+  const users = await db.users.findAll();
+  let usersUpdated = 0;
+
+  for (const user of users) {
+    const total = karma.get(user.id) || 0;
+    if (user.karma === total) continue;
+
+    usersUpdated++;
+    console.log(`  ${user.username}: karma ${user.karma || 0} -> ${total}`);
+    if (!dryRun) {
+      await db.users.update(user.id, { karma: total });
+    }
+  }
+
+  console.log(`Users: ${usersUpdated} of ${users.length} ${dryRun ? 'would be updated' : 'updated'}`);
+  await store.close();
+}
+
+main().catch(error => {
+  console.error('Vote count backfill failed:', error);
+  process.exit(1);
+});
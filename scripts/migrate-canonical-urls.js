@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+// One-time migration: re-key existing comments and notifications onto canonical URLs
+// (see lib/canonicalUrl.js) so old threads merge with new ones.
+//
+// Usage: node scripts/migrate-canonical-urls.js [--dry-run]
+
+require('dotenv').config();
+
+const { createStore } = require('../storage');
+const { createRepositories } = require('../repositories');
+const { canonicalizeUrl } = require('../lib/canonicalUrl');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrate(repository, label) {
+  const docs = await repository.findAll();
+  const changes = new Map(); // old url -> canonical url
+  let updated = 0;
+
+  for (const doc of docs) {
+    const canonical = canonicalizeUrl(doc.url);
+    if (!doc.url || canonical === doc.url) continue;
+
+    changes.set(doc.url, canonical);
+    updated++;
+    if (!dryRun) {
+      // Keep what was stored originally in case a rule needs revisiting
+      await repository.update(doc.id, { url: canonical, originalUrl: doc.originalUrl || doc.url });
+    }
+  }
+
+  console.log(`${label}: ${updated} of ${docs.length} ${dryRun ? 'would be re-keyed' : 're-keyed'}`);
+  for (const [from, to] of changes) {
+    console.log(`  ${from} -> ${to}`);
+  }
+}
+
+async function main() {
+  const store = createStore();
+  const db = createRepositories(store);
+
+  console.log(`Storage backend: ${store.backend}${dryRun ? ' (dry run)' : ''}`);
+
+  await migrate(db.comments, 'Comments');
+  await migrate(db.notifications, 'Notifications');
+
+  await store.close();
+}
+
+main().catch(error => {
+  console.error('URL migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+
+// Move data from the old file-backed version into the current store, or write the
+// current store back out in that format as a backup.
+//
+// The legacy data.json holds { users, comments, notifications } with numeric
+// Date.now() ids, parentId links and inline upvotes/downvotes counters. On import
+// every document gets an id derived from its legacy id (and keeps it as legacyId), so
+// references are remapped the same way on every run and a re-run skips whatever is
+// already there. Legacy users are matched to existing accounts by email; a taken
+// username gets a numeric suffix. The old version kept no vote documents, so the
+// inline counters become anonymous votes (userId null) that backfill:votes counts like
+// any other. Imported comments are indexed for search, added to the page counts and
+// credited to their author's karma, without notifying anyone.
+//
+// An export writes users, comments, votes and notifications in the same layout, under
+// their legacy ids where they have one. Workspace comments are left out, since the old
+// format has no way to keep them private. Importing an export into the store it came
+// from changes nothing.
+//
+// Usage: node scripts/migrate-legacy.js import <file> [--dry-run]
+//        node scripts/migrate-legacy.js export <file>
+
+require('dotenv').config();
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { createStore } = require('../storage');
+const { createRepositories } = require('../repositories');
+const { canonicalizeUrl } = require('../lib/canonicalUrl');
+const { rankFields } = require('../lib/ranking');
+const { tombstoneFields } = require('../lib/commentDeletion');
+const { commentChanged } = require('../lib/pageStats');
+
+const MAX_USERNAME_LENGTH = 30;
+
+const dryRun = process.argv.includes('--dry-run');
+
+// The id an imported document is stored under
+function importedId(collection, legacyId) {
+  return crypto.createHash('sha256').update(`legacy:${collection}:${legacyId}`).digest('base64url').slice(0, 20);
+}
+
+function toDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date : new Date();
+}
+
+function toCount(value) {
+  return Number.isInteger(value) && value > 0 ? value : 0;
+}
+
+function report(label, tally) {
+  const done = dryRun ? 'would be imported' : 'imported';
+  console.log(`${label}: ${tally.imported} ${done}, ${tally.existing} already present, ${tally.skipped} skipped`);
+}
+
+// Look a legacy document up among those already in the store: imported by an earlier
+// run, or exported from this store in the first place
+async function findExisting(repository, collection, legacyId) {
+  return await repository.findById(importedId(collection, legacyId)) || await repository.findById(legacyId);
+}
+
+// A free username based on the legacy one
+async function freeUsername(db, legacy, claimed) {
+  const base = String(legacy.username || (legacy.email || '').split('@')[0] || 'user').slice(0, MAX_USERNAME_LENGTH - 4);
+  for (let suffix = 1; ; suffix++) {
+    const candidate = suffix === 1 ? base : `${base}${suffix}`;
+    if (!claimed.has(candidate) && !(await db.users.findByUsername(candidate))) {
+      claimed.add(candidate);
+      return candidate;
+    }
+  }
+}
+
+async function importUsers(db, users, ids) {
+  const tally = { imported: 0, existing: 0, skipped: 0 };
+  const claimed = new Set();
+
+  for (const legacy of users) {
+    const legacyId = String(legacy.id);
+    const existing = await findExisting(db.users, 'users', legacyId)
+      || (legacy.email ? await db.users.findByEmail(legacy.email) : null);
+    if (existing) {
+      ids.users.set(legacyId, existing.id);
+      tally.existing++;
+      continue;
+    }
+
+    const id = importedId('users', legacyId);
+    const username = await freeUsername(db, legacy, claimed);
+    ids.users.set(legacyId, id);
+    tally.imported++;
+    if (username !== legacy.username) {
+      console.log(`  user ${legacyId}: username ${legacy.username} is taken, using ${username}`);
+    }
+
+    if (!dryRun) {
+      await db.users.createWithId(id, {
+        fullname: legacy.fullname || username,
+        username,
+        email: legacy.email || null,
+        passwordHash: legacy.passwordHash || null,
+        ...(legacy.googleId ? { googleId: legacy.googleId } : {}),
+        role: 'user',
+        emailVerified: false,
+        emailDigest: 'off',
+        createdAt: toDate(legacy.createdAt),
+        legacyId
+      });
+    }
+  }
+
+  report('Users', tally);
+}
+
+// Votes for a newly imported comment: those listed in the file, then anonymous ones
+// for whatever the inline counters say beyond that
+function votesFor(legacy, listed, ids) {
+  const legacyId = String(legacy.id);
+  const votes = listed.map(vote => ({
+    id: importedId('votes', vote.id),
+    userId: vote.userId ? ids.users.get(String(vote.userId)) || null : null,
+    voteType: vote.voteType,
+    timestamp: toDate(vote.timestamp),
+    legacyId: String(vote.id)
+  }));
+
+  for (const voteType of ['up', 'down']) {
+    const counted = listed.filter(vote => vote.voteType === voteType).length;
+    for (let n = counted; n < toCount(legacy[`${voteType}votes`]); n++) {
+      votes.push({ id: importedId('votes', `${legacyId}:${voteType}:${n}`), userId: null, voteType, timestamp: toDate(legacy.timestamp) });
+    }
+  }
+  return votes;
+}
+
+async function importComments(db, comments, votes, ids) {
+  const tally = { imported: 0, existing: 0, skipped: 0 };
+  const voteTally = { imported: 0, existing: 0, skipped: 0 };
+  const threads = new Map(); // comment id -> threadId of its replies
+
+  const listedVotes = new Map(); // legacy comment id -> votes listed in the file
+  for (const vote of votes) {
+    if (!['up', 'down'].includes(vote.voteType)) {
+      voteTally.skipped++;
+      continue;
+    }
+    const key = String(vote.commentId);
+    if (!listedVotes.has(key)) listedVotes.set(key, []);
+    listedVotes.get(key).push(vote);
+  }
+
+  // Parents go before their replies, so every parentId can be remapped
+  let pending = comments;
+  while (pending.length) {
+    const ready = pending.filter(legacy => !legacy.parentId || ids.comments.has(String(legacy.parentId)));
+    if (!ready.length) break;
+
+    for (const legacy of ready) {
+      const legacyId = String(legacy.id);
+      const existing = await findExisting(db.comments, 'comments', legacyId);
+      if (existing) {
+        ids.comments.set(legacyId, existing.id);
+        threads.set(existing.id, existing.threadId || existing.id);
+        tally.existing++;
+        voteTally.existing += legacy.deleted ? 0 : votesFor(legacy, listedVotes.get(legacyId) || [], ids).length;
+        continue;
+      }
+
+      const id = importedId('comments', legacyId);
+      const parentId = legacy.parentId ? ids.comments.get(String(legacy.parentId)) : null;
+      const threadId = parentId ? threads.get(parentId) : null;
+      ids.comments.set(legacyId, id);
+      threads.set(id, threadId || id);
+
+      const url = canonicalizeUrl(legacy.url);
+      const timestamp = toDate(legacy.timestamp);
+      const commentVotes = legacy.deleted ? [] : votesFor(legacy, listedVotes.get(legacyId) || [], ids);
+      const upvotes = commentVotes.filter(vote => vote.voteType === 'up').length;
+      const downvotes = commentVotes.length - upvotes;
+
+      let comment = {
+        url,
+        text: legacy.text || '',
+        rawText: legacy.rawText || '',
+        parentId,
+        threadId,
+        workspaceId: null,
+        authorId: legacy.authorId ? ids.users.get(String(legacy.authorId)) || null : null,
+        authorName: legacy.authorName || null,
+        timestamp,
+        revisionCount: 0,
+        upvotes,
+        downvotes,
+        reactionCounts: {},
+        ...rankFields(upvotes, downvotes, timestamp),
+        legacyId
+      };
+      if (url !== legacy.url) comment.originalUrl = legacy.url;
+      if (legacy.deleted) comment = { ...comment, ...tombstoneFields(comment, toDate(legacy.deletedAt)) };
+
+      tally.imported++;
+      voteTally.imported += commentVotes.length;
+      if (dryRun) continue;
+
+      await db.comments.createWithId(id, comment);
+      for (const { id: voteId, ...vote } of commentVotes) {
+        await db.votes.createWithId(voteId, { commentId: id, ...vote });
+      }
+
+      const stored = { id, ...comment };
+      if (!stored.deleted) await db.searchIndex.indexComment(stored);
+      await commentChanged(db, null, stored);
+      if (stored.authorId && stored.score && await db.users.findById(stored.authorId)) {
+        await db.users.update(stored.authorId, { karma: db.store.increment(stored.score) });
+      }
+    }
+
+    pending = pending.filter(legacy => !ready.includes(legacy));
+  }
+
+  for (const legacy of pending) {
+    console.log(`  comment ${legacy.id}: parent ${legacy.parentId} is missing, skipped`);
+  }
+  tally.skipped = pending.length;
+
+  report('Comments', tally);
+  report('Votes', voteTally);
+}
+
+async function importNotifications(db, notifications, ids) {
+  const tally = { imported: 0, existing: 0, skipped: 0 };
+
+  for (const legacy of notifications) {
+    const legacyId = String(legacy.id);
+    if (await findExisting(db.notifications, 'notifications', legacyId)) {
+      tally.existing++;
+      continue;
+    }
+
+    const userId = ids.users.get(String(legacy.userId));
+    if (!userId) {
+      tally.skipped++;
+      continue;
+    }
+
+    tally.imported++;
+    if (dryRun) continue;
+
+    const commentId = legacy.commentId ? ids.comments.get(String(legacy.commentId)) || null : null;
+    const comment = commentId ? await db.comments.findById(commentId) : null;
+    await db.notifications.createWithId(importedId('notifications', legacyId), {
+      userId,
+      type: legacy.type || 'reply',
+      message: legacy.message || '',
+      commentId,
+      threadId: comment ? comment.threadId || comment.id : null,
+      url: legacy.url ? canonicalizeUrl(legacy.url) : null,
+      workspaceId: null,
+      count: 1,
+      actors: legacy.actorName ? [legacy.actorName] : [],
+      read: Boolean(legacy.read),
+      timestamp: toDate(legacy.timestamp),
+      legacyId
+    });
+  }
+
+  report('Notifications', tally);
+}
+
+async function importFile(db, file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const list = (name) => (Array.isArray(data[name]) ? data[name] : []);
+  const ids = { users: new Map(), comments: new Map() }; // legacy id -> id in the store
+
+  console.log(`Importing ${file}`);
+  await importUsers(db, list('users'), ids);
+  await importComments(db, list('comments'), list('votes'), ids);
+  await importNotifications(db, list('notifications'), ids);
+}
+
+async function exportFile(db, file) {
+  const users = await db.users.findAll();
+  const comments = (await db.comments.findAll())
+    .filter(comment => !comment.workspaceId)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const commentIds = new Set(comments.map(comment => comment.id));
+  const votes = (await db.votes.findAll()).filter(vote => commentIds.has(vote.commentId));
+  const notifications = (await db.notifications.findAll()).filter(notification => !notification.workspaceId);
+
+  const legacyIds = new Map([...users, ...comments].map(doc => [doc.id, doc.legacyId || doc.id]));
+  const ref = (id) => (id ? legacyIds.get(id) || id : null);
+  const iso = (value) => (value ? new Date(value).toISOString() : null);
+
+  const data = {
+    comments: comments.map(comment => ({
+      id: ref(comment.id),
+      url: comment.url,
+      text: comment.text,
+      rawText: comment.rawText,
+      parentId: ref(comment.parentId),
+      authorId: ref(comment.authorId),
+      authorName: comment.authorName,
+      timestamp: iso(comment.timestamp),
+      upvotes: comment.upvotes || 0,
+      downvotes: comment.downvotes || 0,
+      ...(comment.deleted ? { deleted: true, deletedAt: iso(comment.deletedAt) } : {})
+    })),
+    users: users.map(user => ({
+      id: ref(user.id),
+      fullname: user.fullname,
+      username: user.username,
+      email: user.email,
+      passwordHash: user.passwordHash || null,
+      ...(user.googleId ? { googleId: user.googleId } : {}),
+      createdAt: iso(user.createdAt)
+    })),
+    votes: votes.map(vote => ({
+      id: vote.legacyId || vote.id,
+      commentId: ref(vote.commentId),
+      userId: ref(vote.userId),
+      voteType: vote.voteType,
+      timestamp: iso(vote.timestamp)
+    })),
+    notifications: notifications.map(notification => ({
+      id: notification.legacyId || notification.id,
+      userId: ref(notification.userId),
+      type: notification.type,
+      message: notification.message,
+      commentId: ref(notification.commentId),
+      url: notification.url || null,
+      read: Boolean(notification.read),
+      timestamp: iso(notification.timestamp)
+    }))
+  };
+
+  fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+  console.log(`Exported ${data.users.length} users, ${data.comments.length} comments, ${data.votes.length} votes and ${data.notifications.length} notifications to ${file}`);
+}
+
+async function main() {
+  const [command, file] = process.argv.slice(2).filter(arg => arg !== '--dry-run');
+
+  if (!['import', 'export'].includes(command) || !file) {
+    console.error('Usage: node scripts/migrate-legacy.js import <file> [--dry-run]');
+    console.error('       node scripts/migrate-legacy.js export <file>');
+    process.exit(1);
+  }
+
+  const store = createStore();
+  const db = createRepositories(store);
+
+  console.log(`Storage backend: ${store.backend}${dryRun ? ' (dry run)' : ''}`);
+
+  if (command === 'import') {
+    await importFile(db, file);
+  } else {
+    await exportFile(db, file);
+  }
+
+  await store.close();
+}
+
+main().catch(error => {
+  console.error('Legacy migration failed:', error);
+  process.exit(1);
+});
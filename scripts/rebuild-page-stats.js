@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+// Recompute the per-page comment counts behind POST /api/comments/counts from the
+// comments themselves. Run it once after upgrading (comments posted before the
+// counts existed aren't in them), after migrate:urls, or whenever a count looks off.
+//
+// Usage: node scripts/rebuild-page-stats.js [--dry-run]
+
+require('dotenv').config();
+
+const { createStore } = require('../storage');
+const { createRepositories } = require('../repositories');
+const { countsOf } = require('../lib/pageStats');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  const store = createStore();
+  const db = createRepositories(store);
+
+  console.log(`Storage backend: ${store.backend}${dryRun ? ' (dry run)' : ''}`);
+
+  const pages = new Map(); // url -> stats
+  const comments = await db.comments.findAll();
+  for (const comment of comments) {
+    const counts = countsOf(comment);
+    if (!counts.comments && !counts.threads) continue;
+
+    if (!pages.has(comment.url)) {
+      pages.set(comment.url, { url: comment.url, commentCount: 0, threadCount: 0, lastActivityAt: null });
+    }
+    const stats = pages.get(comment.url);
+    stats.commentCount += counts.comments;
+    stats.threadCount += counts.threads;
+
+    const timestamp = new Date(comment.timestamp);
+    if (counts.comments && (!stats.lastActivityAt || timestamp > stats.lastActivityAt)) stats.lastActivityAt = timestamp;
+  }
+
+  if (dryRun) {
+    for (const stats of pages.values()) {
+      console.log(`  ${stats.url}: ${stats.commentCount} comments in ${stats.threadCount} threads`);
+    }
+    console.log(`Would store counts for ${pages.size} pages`);
+  } else {
+    console.log(`Removed ${await db.pageStats.clear()} existing page stats`);
+    for (const stats of pages.values()) {
+      await db.pageStats.save(stats);
+    }
+    console.log(`Stored counts for ${pages.size} pages`);
+  }
+
+  await store.close();
+}
+
+main().catch(error => {
+  console.error('Page stats rebuild failed:', error);
+  process.exit(1);
+});
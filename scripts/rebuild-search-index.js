@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+// Regenerate the full-text search index from scratch: every posting is dropped
+// and every comment that is not a tombstone is indexed again. Run it after
+// changing the tokenizer or stemmer, after migrate:urls, or whenever the index
+// has drifted.
+//
+// Usage: node scripts/rebuild-search-index.js [--dry-run]
+
+require('dotenv').config();
+
+const { createStore } = require('../storage');
+const { createRepositories } = require('../repositories');
+const { analyze } = require('../lib/search');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  const store = createStore();
+  const db = createRepositories(store);
+
+  console.log(`Storage backend: ${store.backend}${dryRun ? ' (dry run)' : ''}`);
+
+  const comments = (await db.comments.findAll()).filter(comment => !comment.deleted);
+  const postings = comments.reduce((total, comment) => total + analyze(comment.rawText).terms.size, 0);
+
+  if (dryRun) {
+    console.log(`Would index ${comments.length} comments as ${postings} postings`);
+  } else {
+    console.log(`Removed ${await db.searchIndex.clear()} existing postings`);
+    for (const comment of comments) {
+      await db.searchIndex.indexComment(comment);
+    }
+    console.log(`Indexed ${comments.length} comments as ${postings} postings`);
+  }
+
+  await store.close();
+}
+
+main().catch(error => {
+  console.error('Search index rebuild failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+// Queue and send any email digests that are due, then flush the email queue.
+// The server does this every hour on its own; the script is for deployments
+// that run the server on several instances with a scheduler doing the digests,
+// and for retrying stuck mail by hand.
+//
+// Usage: node scripts/send-digests.js [--dry-run]
+
+require('dotenv').config();
+
+const { createStore } = require('../storage');
+const { createRepositories } = require('../repositories');
+const { createMailer } = require('../lib/mailer');
+const { sendDigests, DIGEST_FREQUENCIES } = require('../lib/digests');
+
+const dryRun = process.argv.includes('--dry-run');
+const APP_URL = process.env.APP_URL || process.env.PUBLIC_URL || 'http://localhost:3000';
+
+async function main() {
+  const store = createStore();
+  const db = createRepositories(store);
+  const mailer = createMailer({ db });
+
+  console.log(`Storage backend: ${store.backend}${dryRun ? ' (dry run)' : ''}`);
+  console.log(`Email transport: ${mailer.transport}`);
+
+  if (dryRun) {
+    for (const frequency of DIGEST_FREQUENCIES.filter(f => f !== 'off')) {
+      const users = (await db.users.findByDigestFrequency(frequency)).filter(user => user.emailVerified);
+      console.log(`${users.length} verified users with ${frequency} digests`);
+    }
+    console.log(`${(await db.emailQueue.findDue(new Date())).length} queued emails due`);
+  } else {
+    console.log(`Queued ${await sendDigests({ db, mailer, appUrl: APP_URL })} digests`);
+    await mailer.processQueue();
+  }
+
+  await store.close();
+}
+
+main().catch(error => {
+  console.error('Sending digests failed:', error);
+  process.exit(1);
+});
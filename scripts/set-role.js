@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+// Grant a role to a user, e.g. to create the first admin.
+// The new role is picked up the next time the user logs in.
+//
+// Usage: node scripts/set-role.js <email> <user|moderator|admin>
+
+require('dotenv').config();
+
+const { createStore } = require('../storage');
+const { createRepositories } = require('../repositories');
+const { ROLES } = require('../lib/moderation');
+
+async function main() {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: node scripts/set-role.js <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  const store = createStore();
+  const db = createRepositories(store);
+
+  const user = await db.users.findByEmail(email);
+  if (!user) {
+    console.error(`No user with email ${email}`);
+    process.exit(1);
+  }
+
+  await db.users.update(user.id, { role });
+  await db.moderationLog.create({
+    action: 'user.role',
+    actorId: null,
+    actorName: 'set-role script',
+    targetType: 'user',
+    targetId: user.id,
+    reason: null,
+    details: { username: user.username, from: user.role || 'user', to: role },
+    timestamp: new Date()
+  });
+
+  console.log(`${user.username} is now ${role}`);
+  await store.close();
+}
+
+main().catch(error => {
+  console.error('Failed to set role:', error);
+  process.exit(1);
+});
@@ -2,15 +2,49 @@ require('dotenv').config();
 
 const express = require('express');
 const cors = require('cors');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const http = require('http');
 const socketIo = require('socket.io');
 const { marked } = require('marked');
 const createDOMPurify = require('dompurify');
 const { JSDOM } = require('jsdom');
 const { OAuth2Client } = require('google-auth-library');
-const { Firestore } = require('@google-cloud/firestore');
+const { createStore } = require('./storage');
+const { createRepositories } = require('./repositories');
+const { parseTarget, getQuote, TARGET_SCHEMA, MAX_QUOTE_LENGTH } = require('./lib/anchors');
+const webAnnotation = require('./lib/webAnnotation');
+const { canonicalizeUrl } = require('./lib/canonicalUrl');
+const { createRealtime } = require('./lib/realtime');
+const { isModerator, getActiveBan } = require('./lib/moderation');
+const { createModerationRouter } = require('./routes/moderation');
+const { deleteComment } = require('./lib/commentDeletion');
+const { diffWords } = require('./lib/diff');
+const { SORT_MODES, DEFAULT_SORT, SORT_ORDERS, REPLY_ORDER, rankFields } = require('./lib/ranking');
+const { encodeCursor, decodeCursor } = require('./lib/cursor');
+const { createSearchRouter } = require('./routes/search');
+const { createUserRouter } = require('./routes/users');
+const { PROFILE_UPDATE, readProfileUpdate, toAccount, canViewActivity } = require('./lib/profile');
+const { createNotifier, extractMentions } = require('./lib/notifier');
+const { createNotificationRouter } = require('./routes/notifications');
+const { createMailer } = require('./lib/mailer');
+const { sendDigests, DIGEST_CHECK_INTERVAL_MS } = require('./lib/digests');
+const { createSessions, describeClient } = require('./lib/sessions');
+const { createSessionRouter } = require('./routes/sessions');
+const { createReactionRouter } = require('./routes/reactions');
+const { createLimitStore, createRateLimiter } = require('./lib/rateLimit');
+const { createLoginGuard } = require('./lib/loginGuard');
+const { createSpamChecker } = require('./lib/spam');
+const { PUBLIC_VISIBILITY, canAccessComment } = require('./lib/workspaces');
+const { createWorkspaceRouter } = require('./routes/workspaces');
+const { commentChanged } = require('./lib/pageStats');
+const { createWebhookDispatcher } = require('./lib/webhooks');
+const { createWebhookRouter } = require('./routes/webhooks');
+const { validate, object, pageSize, handleBodyErrors, PAGE_URL, CURSOR, ID } = require('./lib/validation');
+const { buildOpenApiDocument } = require('./lib/openapi');
+const { logger, requestLogging } = require('./lib/logger');
+const { createMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { version } = require('./package.json');
 
 // Environment variables
 const PORT = process.env.PORT || 3000;
@@ -18,20 +52,56 @@ const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-producti
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID || 'your-google-client-id';
 const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['http://localhost:3000'];
 const NODE_ENV = process.env.NODE_ENV || 'development';
-const GOOGLE_CLOUD_PROJECT_ID = process.env.GOOGLE_CLOUD_PROJECT_ID || 'your-project-id';
+const TRUST_PROXY = process.env.TRUST_PROXY; // Set behind a load balancer so rate limits see client IPs
+const PUBLIC_URL = process.env.PUBLIC_URL; // Base URL used in exported annotation IRIs
+const MAX_PRESENCE_URLS = 200;
+const MAX_COUNT_URLS = 500;
+const REMOVED_TEXT = '[removed]'; // Shown in place of hidden comments that still have replies
+const THREAD_PAGE_SIZE = { default: 20, max: 100 }; // Top-level comments per page
+const REPLY_PAGE_SIZE = { default: 5, max: 100 }; // Replies shown per thread before "load more"
+const MAX_SUBTREE_SIZE = 1000;
+// Authors can fix typos without leaving a revision for this long after posting
+const EDIT_GRACE_PERIOD_MS = parseInt(process.env.EDIT_GRACE_PERIOD_SECONDS || '300', 10) * 1000;
+const APP_URL = process.env.APP_URL || PUBLIC_URL || 'http://localhost:3000'; // Base URL for links in emails
+const PASSWORD_RESET_TTL_MINUTES = 15;
+const EMAIL_VERIFICATION_TTL_MS = 48 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 6;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_USERNAME_LENGTH = 30;
+const MAX_FULLNAME_LENGTH = 100;
+const MAX_EMAIL_LENGTH = 254;
+const MAX_TOKEN_LENGTH = 4096;
+const MAX_COMMENT_LENGTH = 10000;
+// Webhooks may target localhost and private networks outside production (handy for a local receiver)
+const WEBHOOK_ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS
+  ? process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+  : NODE_ENV !== 'production';
+const METRICS_TOKEN = process.env.METRICS_TOKEN; // When set, GET /metrics requires it as a bearer token
+const READY_CHECK_TIMEOUT_MS = 3000;
+// In-flight requests get this long to finish on SIGTERM before connections are cut
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS || '10', 10) * 1000;
 
-// Initialize Firestore
-const firestore = new Firestore({
-  projectId: GOOGLE_CLOUD_PROJECT_ID,
-  // In production, credentials will be loaded from GOOGLE_APPLICATION_CREDENTIALS
-});
+// Initialize storage (Firestore by default, see STORAGE_BACKEND in env.example)
+const store = createStore();
+const db = createRepositories(store);
+
+// Outgoing email is queued in storage and sent in the background (see EMAIL_TRANSPORT in env.example)
+const mailer = createMailer({ db });
+
+// Webhook deliveries are queued the same way and retried with backoff (see lib/webhooks.js)
+const webhooks = createWebhookDispatcher({ db, allowPrivateUrls: WEBHOOK_ALLOW_PRIVATE_URLS });
+
+// Access tokens are short-lived JWTs tied to a revocable session (see lib/sessions.js)
+const sessions = createSessions({ db, secret: JWT_SECRET });
 
-// Collections
-const commentsCollection = firestore.collection('comments');
-const usersCollection = firestore.collection('users');
-const votesCollection = firestore.collection('votes');
-const notificationsCollection = firestore.collection('notifications');
-const passwordResetTokensCollection = firestore.collection('passwordResetTokens');
+// Abuse protection: request rate limits, login lockout and spam holds (see RATE_LIMIT_* in env.example)
+const limitStore = createLimitStore({ db });
+const rateLimit = createRateLimiter({ limitStore });
+const loginGuard = createLoginGuard({ limitStore });
+const spamChecker = createSpamChecker({ db, limitStore });
+
+// Prometheus metrics served at GET /metrics (see lib/metrics.js)
+const metrics = createMetrics();
 
 const window = new JSDOM('').window;
 const DOMPurify = createDOMPurify(window);
@@ -56,24 +126,35 @@ const corsOptions = {
     if (ALLOWED_ORIGINS.indexOf(origin) !== -1 || NODE_ENV === 'development') {
       callback(null, true);
     } else {
-      console.log('CORS blocked origin:', origin);
+      logger.warn('CORS blocked origin', { origin });
       callback(new Error('Not allowed by CORS'));
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-None-Match'],
+  exposedHeaders: ['ETag']
 };
 
 // Middleware
+if (TRUST_PROXY) {
+  app.set('trust proxy', TRUST_PROXY === 'true' ? true : (/^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY));
+}
+// Request ids, access logs and latency metrics; probes and scrapes are only logged at debug level
+app.use(requestLogging({ quietPaths: ['/health', '/health/live', '/health/ready', '/metrics'] }));
+app.use(metrics.httpMiddleware());
 app.use(cors(corsOptions));
+// Annotation imports can be much larger than a regular request body
+app.use('/api/annotations/import', express.json({ limit: '5mb', type: ['application/json', 'application/ld+json'] }));
 app.use(express.json());
 
-// Add request logging for debugging
-app.use((req, res, next) => {
-  console.log(`${req.method} ${req.path} - ${new Date().toISOString()}`);
-  next();
-});
+// Overall per-IP request budget; route groups add tighter limits of their own
+app.use('/api', rateLimit('api'));
+
+// Verify an access token and resolve with its payload (shared by REST and sockets)
+function verifyAccessToken(token) {
+  return sessions.verify(token);
+}
 
 // Authentication middleware
 function authenticateToken(req, res, next) {
@@ -84,17 +165,89 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid token' });
+  verifyAccessToken(token).then((user) => {
+    req.user = user;
+    next();
+  }, (error) => {
+    // Clients refresh on TOKEN_EXPIRED and sign in again on SESSION_REVOKED
+    if (error.code === 'TOKEN_EXPIRED') {
+      return res.status(401).json({ error: 'Access token expired', code: error.code });
+    }
+    if (error.code === 'SESSION_REVOKED') {
+      return res.status(401).json({ error: 'Session has been revoked', code: error.code });
+    }
+    if (error.code !== 'INVALID_TOKEN') {
+      logger.error('Error verifying access token', error);
+      return res.status(500).json({ error: 'Failed to verify access token' });
     }
+    res.status(403).json({ error: 'Invalid token' });
+  });
+}
+
+// Optional authentication: sets req.user when a valid token is sent, otherwise continues anonymously
+function optionalAuthenticateToken(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return next();
+  }
+
+  verifyAccessToken(token).then((user) => {
     req.user = user;
     next();
+  }, () => {
+    next();
   });
 }
 
-// In-memory storage for sessions only (Firestore for data)
-const userSessions = new Map(); // Track active sessions
+// Posting middleware: reject banned users (checked against storage so bans apply immediately)
+async function rejectBannedUsers(req, res, next) {
+  try {
+    const ban = getActiveBan(await db.users.findById(req.user.id));
+    if (ban) {
+      return res.status(403).json({ error: 'You are banned from posting', reason: ban.reason, expiresAt: ban.expiresAt });
+    }
+    next();
+  } catch (error) {
+    logger.error('Error checking ban status', error);
+    res.status(500).json({ error: 'Failed to check ban status' });
+  }
+}
+
+// Real-time events are scoped to page, workspace and user rooms (see lib/realtime.js)
+const realtime = createRealtime(io, {
+  metrics,
+  verifyToken: verifyAccessToken,
+  listWorkspaceIds: async (userId) => (await db.workspaceMembers.listForUser(userId)).map(membership => membership.workspaceId),
+  findComment: (id) => db.comments.findById(id)
+});
+const notifier = createNotifier({ db, realtime, webhooks });
+
+// Helper function to load a comment the user may see: public, or posted to one of their
+// workspaces. Other workspaces' comments are treated as if they didn't exist.
+async function findAccessibleComment(id, user) {
+  const comment = await db.comments.findById(id);
+  return comment && await canAccessComment(db, comment, user) ? comment : null;
+}
+
+// Helper function to resolve a visibility ("public" or a workspace id) to a workspace id,
+// null meaning public. Resolves with { workspaceId } or { status, error }.
+async function resolveVisibility(visibility, user) {
+  if (visibility === undefined || visibility === null || visibility === PUBLIC_VISIBILITY) {
+    return { workspaceId: null };
+  }
+  if (typeof visibility !== 'string' || !visibility) {
+    return { status: 400, error: `Visibility must be "${PUBLIC_VISIBILITY}" or a workspace id` };
+  }
+  if (!user) {
+    return { status: 401, error: 'Sign in to see workspace comments' };
+  }
+  if (!await db.workspaceMembers.find(visibility, user.id)) {
+    return { status: 403, error: 'You are not a member of this workspace' };
+  }
+  return { workspaceId: visibility };
+}
 
 // Helper function to build comment tree
 function buildCommentTree(comments) {
@@ -108,77 +261,170 @@ function buildCommentTree(comments) {
   
   // Build the tree structure
   comments.forEach(comment => {
-    if (comment.parentId) {
-      const parent = commentMap.get(comment.parentId);
-      if (parent) {
-        parent.replies.push(commentMap.get(comment.id));
-      }
+    const node = commentMap.get(comment.id);
+    const parent = comment.parentId && commentMap.get(comment.parentId);
+    
+    if (parent) {
+      parent.replies.push(node);
     } else {
-      rootComments.push(commentMap.get(comment.id));
+      // Replies whose parent is not in the set are promoted instead of dropped
+      if (comment.parentId) node.parentMissing = true;
+      rootComments.push(node);
     }
   });
   
   return rootComments;
 }
 
-// Helper function to get votes for a comment
-async function getVotesForComment(commentId) {
+// Helper function to fill in vote and reaction counters on comments written before they were denormalized
+function withVoteCounts(comment) {
+  const upvotes = comment.upvotes || 0;
+  const downvotes = comment.downvotes || 0;
+  return { ...comment, upvotes, downvotes, score: upvotes - downvotes, reactionCounts: comment.reactionCounts || {} };
+}
+
+// Helper function to list the viewer's own reactions on each comment as myReactions (walks nested replies)
+async function withMyReactions(comments, viewer) {
+  const all = [];
+  const collect = (list) => list.forEach((comment) => {
+    all.push(comment);
+    if (comment.replies) collect(comment.replies);
+  });
+  collect(comments);
+  
+  const mine = viewer && all.length ? await db.reactions.findMine(all.map(comment => comment.id), viewer.id) : new Map();
+  for (const comment of all) {
+    comment.myReactions = mine.get(comment.id) || [];
+  }
+  return comments;
+}
+
+// Helper function to nest a comment and its loaded descendants. Whatever cannot be
+// placed (its parent was hidden or is on a later page) hangs off the root, flagged parentMissing.
+function buildSubtree(comments, viewer) {
+  const visible = filterHidden(comments.map(withVoteCounts), viewer);
+  if (!visible.length || visible[0].id !== comments[0].id) return null;
+  
+  for (const comment of visible) {
+    comment.revisionCount = comment.revisionCount || 0;
+  }
+  
+  const [root, ...detached] = buildCommentTree(visible);
+  root.replies.push(...detached);
+  return root;
+}
+
+// Helper function to sanitize markdown and render it to safe HTML
+function renderMarkdown(text) {
+  const sanitizedText = DOMPurify.sanitize(text);
+  const htmlText = marked(sanitizedText);
+  return DOMPurify.sanitize(htmlText);
+}
+
+// Helper function to get the public base URL of this server
+function getBaseUrl(req) {
+  return PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+// Helper function to keep hidden comments from regular users. Moderators see them flagged
+// with hidden: true; everyone else gets a "[removed]" placeholder if the comment has replies.
+function filterHidden(comments, viewer) {
+  if (isModerator(viewer)) return comments;
+  
+  const parentIds = new Set(comments.map(comment => comment.parentId).filter(Boolean));
+  return comments
+    .filter(comment => !comment.hidden || parentIds.has(comment.id))
+    .map(comment => (comment.hidden ? {
+      id: comment.id,
+      url: comment.url,
+      parentId: comment.parentId,
+      threadId: comment.threadId,
+      timestamp: comment.timestamp,
+      removed: true,
+      text: REMOVED_TEXT,
+      rawText: REMOVED_TEXT,
+      authorId: null,
+      authorName: null
+    } : comment));
+}
+
+// Helper function to bring a comment's search postings up to date. A failure is logged rather
+// than failing the request; `npm run search:rebuild` regenerates the whole index.
+async function updateSearchIndex(comment) {
   try {
-    const votesSnapshot = await votesCollection.where('commentId', '==', commentId).get();
-    let upvotes = 0;
-    let downvotes = 0;
-    
-    votesSnapshot.forEach(doc => {
-      const vote = doc.data();
-      if (vote.voteType === 'up') upvotes++;
-      else if (vote.voteType === 'down') downvotes++;
-    });
-    
-    return { upvotes, downvotes };
+    await db.searchIndex.indexComment(comment);
   } catch (error) {
-    console.error('Error getting votes for comment:', error);
-    return { upvotes: 0, downvotes: 0 };
+    logger.error('Error updating search index', error);
   }
 }
 
-// Helper function to extract user mentions from text
-function extractMentions(text) {
-  const mentionRegex = /@(\w+)/g;
-  const mentions = [];
-  let match;
+// Helper function to hash one-time tokens before storing them
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Helper function to issue an email verification token and queue the email that carries it
+async function sendVerificationEmail(user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await db.users.update(user.id, {
+    emailVerificationTokenHash: hashToken(token),
+    emailVerificationExpiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS)
+  });
+  await mailer.send(user.email, 'verifyEmail', {
+    name: user.fullname || user.username,
+    verifyUrl: `${APP_URL}/verify-email?token=${token}`
+  });
+}
+
+// Helper function to pick an unused username based on an email address (jane.doe@x.com -> janedoe, janedoe2, ...)
+async function generateUsername(email) {
+  const base = email.split('@')[0].replace(/\W/g, '').slice(0, MAX_USERNAME_LENGTH - 4) || 'user';
   
-  while ((match = mentionRegex.exec(text)) !== null) {
-    mentions.push(match[1]);
+  for (let suffix = 1; suffix <= 20; suffix++) {
+    const candidate = suffix === 1 ? base : `${base}${suffix}`;
+    if (!(await db.users.findByUsername(candidate))) {
+      return candidate;
+    }
   }
   
-  return mentions;
+  // Very common prefixes fall back to a random suffix
+  return `${base}_${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Helper function to sign a user out everywhere (or everywhere but keepSessionId)
+async function revokeUserSessions(userId, reason, keepSessionId = null) {
+  const revoked = await db.sessions.revokeAllForUser(userId, { exceptId: keepSessionId, reason });
+  realtime.disconnectSessions(userId, revoked);
+  return revoked;
 }
 
+// Request schemas shared by several routes (see lib/validation.js)
+const EMAIL = { type: 'string', minLength: 1, maxLength: MAX_EMAIL_LENGTH };
+const PASSWORD = { type: 'string', minLength: MIN_PASSWORD_LENGTH, maxLength: MAX_PASSWORD_LENGTH };
+const TOKEN = { type: 'string', minLength: 1, maxLength: MAX_TOKEN_LENGTH };
+const COMMENT_TEXT = { type: 'string', minLength: 1, maxLength: MAX_COMMENT_LENGTH, description: 'Markdown' };
+const VISIBILITY = { ...ID, description: `"${PUBLIC_VISIBILITY}" (default) or the id of one of your workspaces` };
+
 // Authentication endpoints
 
 // POST /api/auth/register - Register a new user
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/auth/register', rateLimit('auth'), validate({
+  body: object({
+    fullname: { type: 'string', minLength: 1, maxLength: MAX_FULLNAME_LENGTH },
+    username: { type: 'string', minLength: 1, maxLength: MAX_USERNAME_LENGTH },
+    email: { ...EMAIL, format: 'email' },
+    password: PASSWORD
+  }, ['fullname', 'username', 'email', 'password'])
+}), async (req, res) => {
   try {
     const { fullname, username, email, password } = req.body;
     
-    if (!fullname || !username || !email || !password) {
-      return res.status(400).json({ error: 'Full name, username, email, and password are required' });
-    }
-    
     // Check if user already exists
-    const existingUserSnapshot = await usersCollection
-      .where('email', '==', email)
-      .get();
-    
-    if (!existingUserSnapshot.empty) {
+    if (await db.users.findByEmail(email)) {
       return res.status(409).json({ error: 'User with this email already exists' });
     }
     
-    const existingUsernameSnapshot = await usersCollection
-      .where('username', '==', username)
-      .get();
-    
-    if (!existingUsernameSnapshot.empty) {
+    if (await db.users.findByUsername(username)) {
       return res.status(409).json({ error: 'Username already taken' });
     }
     
@@ -191,81 +437,81 @@ app.post('/api/auth/register', async (req, res) => {
       username,
       email,
       passwordHash,
+      role: 'user',
+      emailVerified: false,
+      emailDigest: 'off',
       createdAt: new Date()
     };
     
-    // Add to Firestore
-    const docRef = await usersCollection.add(newUser);
-    const userId = docRef.id;
+    // Add to storage
+    const { id: userId } = await db.users.create(newUser);
+    await sendVerificationEmail({ id: userId, ...newUser });
     
-    console.log('New user registered:', { username, email, userId });
+    logger.info('User registered', { userId });
     
-    // Generate JWT token
-    const token = jwt.sign({ id: userId, username: newUser.username }, JWT_SECRET, { expiresIn: '24h' });
+    // Sign the new user in on this device
+    const tokens = await sessions.start({ id: userId, ...newUser }, describeClient(req));
     
     res.status(201).json({
-      token,
+      ...tokens,
       user: { id: userId, fullname: newUser.fullname, username: newUser.username, email: newUser.email }
     });
     
   } catch (error) {
-    console.error('Error registering user:', error);
+    logger.error('Error registering user', error);
     res.status(500).json({ error: 'Failed to register user' });
   }
 });
 
 // POST /api/auth/login - Login user
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', rateLimit('auth'), validate({
+  body: object({ email: EMAIL, password: { type: 'string', minLength: 1, maxLength: MAX_PASSWORD_LENGTH } }, ['email', 'password'])
+}), async (req, res) => {
   try {
     const { email, password } = req.body;
     
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
-    
-    // Find user in Firestore
-    const userSnapshot = await usersCollection
-      .where('email', '==', email)
-      .get();
-    
-    if (userSnapshot.empty) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    // Locked out after too many failed attempts on this account or from this IP
+    const lockout = await loginGuard.check(email, req.ip);
+    if (lockout.locked) {
+      res.set('Retry-After', String(lockout.retryAfter));
+      return res.status(429).json({ error: 'Too many failed login attempts. Try again later.', retryAfter: lockout.retryAfter });
     }
     
-    const userDoc = userSnapshot.docs[0];
-    const user = { id: userDoc.id, ...userDoc.data() };
+    // Find user in storage
+    const user = await db.users.findByEmail(email);
     
-    // Check password
-    const validPassword = await bcrypt.compare(password, user.passwordHash);
+    // Check password (accounts created through Google have none until they set one)
+    const validPassword = Boolean(user && user.passwordHash) && await bcrypt.compare(password, user.passwordHash);
     if (!validPassword) {
+      await loginGuard.recordFailure(email, req.ip);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
-    // Generate JWT token
-    const token = jwt.sign({ id: user.id, username: user.username }, JWT_SECRET, { expiresIn: '24h' });
+    await loginGuard.recordSuccess(email);
+    
+    // Start a session for this device
+    const tokens = await sessions.start(user, describeClient(req));
     
-    console.log('User logged in:', { username: user.username, email });
+    logger.info('User logged in', { userId: user.id });
     
     res.json({
-      token,
+      ...tokens,
       user: { id: user.id, fullname: user.fullname, username: user.username, email: user.email }
     });
     
   } catch (error) {
-    console.error('Error logging in user:', error);
+    logger.error('Error logging in user', error);
     res.status(500).json({ error: 'Failed to login' });
   }
 });
 
 // POST /api/auth/google - Google OAuth login
-app.post('/api/auth/google', async (req, res) => {
+app.post('/api/auth/google', rateLimit('auth'), validate({
+  body: object({ token: { ...TOKEN, description: 'Google ID token' } }, ['token'])
+}), async (req, res) => {
   try {
     const { token } = req.body;
     
-    if (!token) {
-      return res.status(400).json({ error: 'Google token is required' });
-    }
-    
     // Verify Google token
     const ticket = await googleClient.verifyIdToken({
       idToken: token,
@@ -275,336 +521,649 @@ app.post('/api/auth/google', async (req, res) => {
     const payload = ticket.getPayload();
     const { email, name, picture } = payload;
     
-    // Check if user exists
-    let user = users.find(u => u.email === email);
+    // Returning Google user
+    let user = await db.users.findByGoogleId(payload.sub);
     
     if (!user) {
-      // Create new user
-      user = {
-        id: Date.now().toString(),
-        fullname: name,
-        username: email.split('@')[0], // Use email prefix as username
-        email,
-        avatar: picture,
-        googleId: payload.sub,
-        createdAt: new Date()
-      };
-      users.push(user);
-      saveData(); // Save to file
-      console.log('New Google user registered:', { name, email });
+      const existing = await db.users.findByEmail(email);
+      
+      if (existing) {
+        // Link Google to the account that already uses this email. Only an address Google
+        // has verified may claim it, or anyone could sign in as its owner.
+        if (!payload.email_verified) {
+          return res.status(409).json({ error: 'An account with this email already exists. Sign in with your password instead.' });
+        }
+        
+        const link = { googleId: payload.sub, emailVerified: true, avatar: existing.avatar || picture || null };
+        await db.users.update(existing.id, link);
+        user = { ...existing, ...link };
+        logger.info('Google account linked', { userId: user.id });
+      } else {
+        // Create new user
+        const newUser = {
+          fullname: name || email.split('@')[0],
+          username: await generateUsername(email),
+          email,
+          avatar: picture || null,
+          googleId: payload.sub,
+          role: 'user',
+          emailVerified: Boolean(payload.email_verified),
+          emailDigest: 'off',
+          createdAt: new Date()
+        };
+        const { id } = await db.users.create(newUser);
+        user = { id, ...newUser };
+        logger.info('User registered with Google', { userId: user.id });
+      }
     }
     
-    // Generate JWT token
-    const jwtToken = jwt.sign({ id: user.id, username: user.username }, JWT_SECRET, { expiresIn: '24h' });
+    // Start a session for this device
+    const tokens = await sessions.start(user, describeClient(req));
     
     res.json({
-      token: jwtToken,
+      ...tokens,
       user: { id: user.id, fullname: user.fullname, username: user.username, email: user.email, avatar: user.avatar }
     });
     
   } catch (error) {
-    console.error('Error with Google login:', error);
+    logger.error('Error with Google login', error);
     res.status(500).json({ error: 'Failed to authenticate with Google' });
   }
 });
 
-// POST /api/auth/forgot-password - Request password reset
-app.post('/api/auth/forgot-password', async (req, res) => {
+// POST /api/auth/forgot-password - Email a password reset link
+app.post('/api/auth/forgot-password', rateLimit('auth'), validate({
+  body: object({ email: EMAIL }, ['email'])
+}), async (req, res) => {
   try {
     const { email } = req.body;
     
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
-    
     // Check if user exists
-    const user = users.find(u => u.email === email);
+    const user = await db.users.findByEmail(email);
     if (!user) {
       // Don't reveal if user exists or not for security
       return res.json({ message: 'If an account with this email exists, a password reset link has been sent.' });
     }
     
-    // Generate reset token (in production, use crypto.randomBytes)
-    const resetToken = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
-    const expiresAt = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
     
-    // Store reset token
-    passwordResetTokens.set(email, { token: resetToken, expiresAt });
+    // Only the latest link works, and only its hash is stored
+    await db.passwordResetTokens.deleteForEmail(email);
+    await db.passwordResetTokens.create({ email, tokenHash: hashToken(resetToken), expiresAt, createdAt: new Date() });
     
-    // In production, send email here
-    console.log(`Password reset token for ${email}: ${resetToken}`);
-    console.log(`Reset link: http://localhost:3000/reset-password?token=${resetToken}&email=${email}`);
+    await mailer.send(email, 'passwordReset', {
+      name: user.fullname || user.username,
+      resetUrl: `${APP_URL}/reset-password?token=${resetToken}&email=${encodeURIComponent(email)}`,
+      expiresMinutes: PASSWORD_RESET_TTL_MINUTES
+    });
     
     res.json({ message: 'If an account with this email exists, a password reset link has been sent.' });
     
   } catch (error) {
-    console.error('Error requesting password reset:', error);
+    logger.error('Error requesting password reset', error);
     res.status(500).json({ error: 'Failed to process password reset request' });
   }
 });
 
 // POST /api/auth/reset-password - Reset password with token
-app.post('/api/auth/reset-password', async (req, res) => {
+app.post('/api/auth/reset-password', rateLimit('auth'), validate({
+  body: object({ email: EMAIL, token: TOKEN, newPassword: PASSWORD }, ['email', 'token', 'newPassword'])
+}), async (req, res) => {
   try {
     const { email, token, newPassword } = req.body;
     
-    if (!email || !token || !newPassword) {
-      return res.status(400).json({ error: 'Email, token, and new password are required' });
-    }
-    
-    // Validate password
-    if (newPassword.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
-    }
-    
-    // Check if reset token is valid
-    const resetData = passwordResetTokens.get(email);
-    if (!resetData || resetData.token !== token || new Date() > resetData.expiresAt) {
+    // Check the reset token, using it up
+    const resetData = await db.passwordResetTokens.consume(email, hashToken(token), new Date());
+    if (!resetData) {
       return res.status(400).json({ error: 'Invalid or expired reset token' });
     }
     
     // Find user
-    const user = users.find(u => u.email === email);
+    const user = await db.users.findByEmail(email);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
     
     // Hash new password
     const passwordHash = await bcrypt.hash(newPassword, 10);
-    user.passwordHash = passwordHash;
+    await db.users.update(user.id, { passwordHash, passwordChangedAt: new Date() });
     
-    // Remove used token
-    passwordResetTokens.delete(email);
+    // Whoever knew the old password is signed out too
+    await revokeUserSessions(user.id, 'password-reset');
     
-    console.log(`Password reset successful for ${email}`);
+    logger.info('Password reset', { userId: user.id });
     
     res.json({ message: 'Password reset successful. You can now login with your new password.' });
     
   } catch (error) {
-    console.error('Error resetting password:', error);
+    logger.error('Error resetting password', error);
     res.status(500).json({ error: 'Failed to reset password' });
   }
 });
 
-// GET /api/auth/me - Get current user info
-app.get('/api/auth/me', authenticateToken, (req, res) => {
-  const user = users.find(u => u.id === req.user.id);
-  if (!user) {
-    return res.status(404).json({ error: 'User not found' });
+// POST /api/auth/change-password - Change the password of the signed-in user
+app.post('/api/auth/change-password', authenticateToken, rateLimit('auth'), validate({
+  body: object({
+    currentPassword: { type: 'string', maxLength: MAX_PASSWORD_LENGTH, description: 'Not needed while the account has no password' },
+    newPassword: PASSWORD,
+    signOutOtherSessions: { type: 'boolean', default: true }
+  }, ['newPassword'])
+}), async (req, res) => {
+  try {
+    const { currentPassword, newPassword, signOutOtherSessions } = req.body;
+    
+    const user = await db.users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // Accounts created through Google can set a first password without one
+    if (user.passwordHash) {
+      if (!currentPassword || !(await bcrypt.compare(currentPassword, user.passwordHash))) {
+        return res.status(401).json({ error: 'Current password is incorrect' });
+      }
+    }
+    
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+    await db.users.update(user.id, { passwordHash, passwordChangedAt: new Date() });
+    
+    const revoked = !signOutOtherSessions ? [] : await revokeUserSessions(user.id, 'password-change', req.user.sid);
+    
+    res.json({ message: 'Password changed', revokedSessions: revoked.length });
+  } catch (error) {
+    logger.error('Error changing password', error);
+    res.status(500).json({ error: 'Failed to change password' });
   }
-  
-  res.json({
-    user: { id: user.id, fullname: user.fullname, username: user.username, email: user.email, avatar: user.avatar }
-  });
 });
 
-// API Endpoints
-app.get('/api/comments', async (req, res) => {
+// POST /api/auth/verify-email - Confirm an email address with the token from the verification email
+app.post('/api/auth/verify-email', rateLimit('auth'), validate({
+  body: object({ token: TOKEN }, ['token'])
+}), async (req, res) => {
   try {
-    const { url, page = 1, limit = 20 } = req.query;
+    const { token } = req.body;
     
-    if (!url) {
-      return res.status(400).json({ error: 'URL parameter is required' });
+    const user = await db.users.findByVerificationToken(hashToken(token));
+    if (!user || !user.emailVerificationExpiresAt || new Date() > new Date(user.emailVerificationExpiresAt)) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
     }
+    
+    await db.users.update(user.id, {
+      emailVerified: true,
+      emailVerificationTokenHash: null,
+      emailVerificationExpiresAt: null
+    });
+    
+    res.json({ message: 'Email verified' });
+  } catch (error) {
+    logger.error('Error verifying email', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
 
-    // Get comments from Firestore
-    const commentsSnapshot = await commentsCollection
-      .where('url', '==', url)
-      .orderBy('timestamp', 'desc')
-      .get();
+// POST /api/auth/resend-verification - Send a fresh verification email
+app.post('/api/auth/resend-verification', authenticateToken, rateLimit('auth'), async (req, res) => {
+  try {
+    const user = await db.users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (user.emailVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+    
+    await sendVerificationEmail(user);
+    
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    logger.error('Error resending verification email', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
 
-    const comments = [];
-    commentsSnapshot.forEach(doc => {
-      const comment = { id: doc.id, ...doc.data() };
-      comments.push(comment);
-    });
+// GET /api/auth/me - Get current user info
+app.get('/api/auth/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await db.users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({ user: toAccount(user) });
+  } catch (error) {
+    logger.error('Error fetching current user', error);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
 
-    // Calculate pagination
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const startIndex = (pageNum - 1) * limitNum;
-    const endIndex = startIndex + limitNum;
+// PATCH /api/auth/me - Edit your profile (displayName, bio, avatar, hideActivity) and emailDigest
+app.patch('/api/auth/me', authenticateToken, validate({ body: PROFILE_UPDATE }), async (req, res) => {
+  try {
+    const { update, error } = readProfileUpdate(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const user = await db.users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    await db.users.update(user.id, update);
     
-    const totalComments = comments.length;
-    const totalPages = Math.ceil(totalComments / limitNum);
+    res.json({ user: toAccount({ ...user, ...update }) });
+  } catch (error) {
+    logger.error('Error updating profile', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// API Endpoints
+
+// GET /api/comments - One page of threads for a URL (?sort=, ?limit=, ?replies=, ?cursor=)
+// Each top-level comment comes with its first replies; repliesCursor fetches the rest.
+// ?visibility= picks the public discussion (default) or one of the caller's workspaces.
+app.get('/api/comments', optionalAuthenticateToken, validate({
+  query: object({
+    url: PAGE_URL,
+    sort: { type: 'string', enum: SORT_MODES, default: DEFAULT_SORT },
+    limit: pageSize(THREAD_PAGE_SIZE),
+    replies: { ...pageSize(REPLY_PAGE_SIZE), description: 'Replies included per thread' },
+    cursor: CURSOR,
+    visibility: VISIBILITY
+  }, ['url'])
+}), async (req, res) => {
+  try {
+    const { url, cursor, sort, limit, replies: replyLimit } = req.query;
     
-    // Get paginated comments
-    const paginatedComments = comments.slice(startIndex, endIndex);
+    const { workspaceId, status, error } = await resolveVisibility(req.query.visibility, req.user);
+    if (error) {
+      return res.status(status).json({ error });
+    }
 
-    // Add vote counts to comments
-    for (let comment of paginatedComments) {
-      const votes = await getVotesForComment(comment.id);
-      comment.upvotes = votes.upvotes;
-      comment.downvotes = votes.downvotes;
+    const orderBy = SORT_ORDERS[sort];
+    const startAfter = cursor ? decodeCursor(cursor, orderBy, `threads:${sort}`) : null;
+    if (cursor && !startAfter) {
+      return res.status(400).json({ error: 'Invalid cursor' });
     }
 
-    // Build comment tree for threaded display
-    const commentTree = buildCommentTree(paginatedComments);
+    const canonical = canonicalizeUrl(url);
+
+    // Read one extra document to learn whether another page exists
+    const roots = await db.comments.listThreads(canonical, { workspaceId, orderBy, limit: limit + 1, startAfter });
+    const hasNextPage = roots.length > limit;
+    const pageRoots = roots.slice(0, limit);
+
+    const threads = await Promise.all(pageRoots.map(async (root) => {
+      const replies = await db.comments.listThreadReplies(root.id, { limit: replyLimit + 1 });
+      const shown = replies.slice(0, replyLimit);
+      
+      // Moderators also see hidden comments, flagged with hidden: true
+      const thread = buildSubtree([root, ...shown], req.user);
+      if (!thread) return null;
+      
+      thread.repliesCursor = replies.length > replyLimit
+        ? encodeCursor(shown[shown.length - 1], REPLY_ORDER, `replies:${root.id}`)
+        : null;
+      return thread;
+    }));
+
+    const [totalThreads, totalComments] = await Promise.all([
+      db.comments.countThreads(canonical, workspaceId),
+      db.comments.countByUrl(canonical, workspaceId)
+    ]);
     
     res.json({
-      comments: commentTree,
+      comments: await withMyReactions(threads.filter(Boolean), req.user),
+      sort,
+      visibility: workspaceId || PUBLIC_VISIBILITY,
       pagination: {
-        currentPage: pageNum,
-        totalPages,
+        limit,
+        totalThreads,
         totalComments,
-        hasNextPage: pageNum < totalPages,
-        hasPrevPage: pageNum > 1
+        hasNextPage,
+        nextCursor: hasNextPage ? encodeCursor(pageRoots[pageRoots.length - 1], orderBy, `threads:${sort}`) : null
       }
     });
   } catch (error) {
-    console.error('Error fetching comments:', error);
+    logger.error('Error fetching comments', error);
     res.status(500).json({ error: 'Failed to fetch comments' });
   }
 });
 
-// POST /api/comments - Create a new comment
-app.post('/api/comments', authenticateToken, async (req, res) => {
+// GET /api/comments/:id/replies - More replies in a thread, oldest first (?cursor=, ?limit=)
+// Replies are returned flat; each one's parentId says where it belongs in the thread.
+app.get('/api/comments/:id/replies', optionalAuthenticateToken, validate({
+  params: object({ id: ID }),
+  query: object({ cursor: CURSOR, limit: pageSize(REPLY_PAGE_SIZE) })
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { cursor, limit } = req.query;
+    
+    const comment = await findAccessibleComment(id, req.user);
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    
+    // Replies are paged per thread, so a reply's id continues its whole thread
+    const threadId = comment.parentId ? comment.threadId : comment.id;
+    const startAfter = cursor ? decodeCursor(cursor, REPLY_ORDER, `replies:${threadId}`) : null;
+    if (cursor && !startAfter) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    const replies = threadId
+      ? await db.comments.listThreadReplies(threadId, { limit: limit + 1, startAfter })
+      : [];
+    const shown = replies.slice(0, limit);
+    
+    res.json({
+      threadId,
+      replies: await withMyReactions(filterHidden(shown.map(withVoteCounts), req.user), req.user),
+      nextCursor: replies.length > limit ? encodeCursor(shown[shown.length - 1], REPLY_ORDER, `replies:${threadId}`) : null
+    });
+  } catch (error) {
+    logger.error('Error fetching replies', error);
+    res.status(500).json({ error: 'Failed to fetch replies' });
+  }
+});
+
+// GET /api/comments/:id/thread - A comment with every reply beneath it, nested
+app.get('/api/comments/:id/thread', optionalAuthenticateToken, validate({ params: object({ id: ID }) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const comment = await findAccessibleComment(id, req.user);
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    
+    const threadId = comment.parentId ? comment.threadId : comment.id;
+    const replies = threadId
+      ? await db.comments.listThreadReplies(threadId, { limit: MAX_SUBTREE_SIZE + 1 })
+      : [];
+    
+    // The thread may be wider than this comment's subtree; keep only its descendants
+    const childrenOf = new Map();
+    for (const reply of replies.slice(0, MAX_SUBTREE_SIZE)) {
+      if (!childrenOf.has(reply.parentId)) childrenOf.set(reply.parentId, []);
+      childrenOf.get(reply.parentId).push(reply);
+    }
+    const subtree = [comment];
+    for (let i = 0; i < subtree.length; i++) {
+      subtree.push(...(childrenOf.get(subtree[i].id) || []));
+    }
+    
+    const tree = buildSubtree(subtree, req.user);
+    if (!tree) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    await withMyReactions([tree], req.user);
+    
+    res.json({ comment: tree, truncated: replies.length > MAX_SUBTREE_SIZE });
+  } catch (error) {
+    logger.error('Error fetching thread', error);
+    res.status(500).json({ error: 'Failed to fetch thread' });
+  }
+});
+
+// GET /api/comments/by-quote - Annotations on a page anchored to a quoted passage (?visibility= as above)
+app.get('/api/comments/by-quote', optionalAuthenticateToken, validate({
+  query: object({
+    url: PAGE_URL,
+    quote: { type: 'string', minLength: 1, maxLength: MAX_QUOTE_LENGTH, description: 'The exact quoted passage' },
+    visibility: VISIBILITY
+  }, ['url', 'quote'])
+}), async (req, res) => {
   try {
-    const { url, text, parentId } = req.body;
+    const { url, quote } = req.query;
     
-    if (!url || !text) {
-      return res.status(400).json({ error: 'URL and text are required' });
+    const { workspaceId, status, error } = await resolveVisibility(req.query.visibility, req.user);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    const matches = (await db.comments.findByQuote(canonicalizeUrl(url), quote))
+      .filter(comment => (comment.workspaceId || null) === workspaceId);
+    const annotations = await withMyReactions(filterHidden(matches, req.user).map(withVoteCounts), req.user);
+    
+    res.json({ annotations });
+  } catch (error) {
+    logger.error('Error fetching annotations by quote', error);
+    res.status(500).json({ error: 'Failed to fetch annotations' });
+  }
+});
+
+// POST /api/comments/counts - Comment and thread counts and last activity for a batch of pages ({ urls })
+// Only public, visible comments are counted. Send the ETag back as If-None-Match to get
+// a 304 while none of the counts have changed.
+app.post('/api/comments/counts', validate({
+  body: object({ urls: { type: 'array', minItems: 1, maxItems: MAX_COUNT_URLS, items: PAGE_URL } }, ['urls'])
+}), async (req, res) => {
+  try {
+    const { urls } = req.body;
+    
+    const canonical = urls.map(url => canonicalizeUrl(url));
+    const stats = await db.pageStats.findByUrls(canonical);
+    
+    const counts = {};
+    urls.forEach((url, index) => {
+      const page = stats.get(canonical[index]);
+      counts[url] = {
+        url: canonical[index],
+        commentCount: page ? page.commentCount : 0,
+        threadCount: page ? page.threadCount : 0,
+        lastActivityAt: page && page.lastActivityAt ? new Date(page.lastActivityAt) : null
+      };
+    });
+    
+    // Express only answers If-None-Match for GET, so this POST checks it by hand
+    const body = JSON.stringify({ counts });
+    const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+    res.set('ETag', etag);
+    res.set('Cache-Control', 'private, no-cache');
+    
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch && ifNoneMatch.split(',').some(tag => ['*', etag].includes(tag.trim().replace(/^W\//, '')))) {
+      return res.status(304).end();
+    }
+    
+    res.type('json').send(body);
+  } catch (error) {
+    logger.error('Error counting comments', error);
+    res.status(500).json({ error: 'Failed to count comments' });
+  }
+});
+
+// POST /api/comments - Create a new comment
+// visibility is "public" (default) or the id of a workspace the author belongs to; replies
+// always share their parent's visibility.
+app.post('/api/comments', authenticateToken, rateLimit('comments'), rejectBannedUsers, validate({
+  body: object({
+    url: PAGE_URL,
+    text: COMMENT_TEXT,
+    parentId: { ...ID, nullable: true, description: 'The comment this replies to' },
+    target: TARGET_SCHEMA,
+    visibility: VISIBILITY
+  }, ['url', 'text'])
+}), async (req, res) => {
+  try {
+    const { text, parentId, target, visibility } = req.body;
+    // Every variant of a page URL is stored under its canonical form
+    const url = canonicalizeUrl(req.body.url);
+
+    // Replies record the top-level comment of their thread so threads can be paged
+    let parent = null;
+    let workspaceId = null;
+    if (parentId) {
+      parent = await findAccessibleComment(parentId, req.user);
+      if (!parent) {
+        return res.status(404).json({ error: 'Parent comment not found' });
+      }
+      workspaceId = parent.workspaceId || null;
+      if (visibility !== undefined && visibility !== (workspaceId || PUBLIC_VISIBILITY)) {
+        return res.status(400).json({ error: 'Replies must have the same visibility as their parent' });
+      }
+    } else {
+      const resolved = await resolveVisibility(visibility, req.user);
+      if (resolved.error) {
+        return res.status(resolved.status).json({ error: resolved.error });
+      }
+      workspaceId = resolved.workspaceId;
+    }
+
+    // Optional text anchor (W3C selectors) - only top-level annotations carry one
+    let anchor = null;
+    if (target) {
+      if (parentId) {
+        return res.status(400).json({ error: 'Replies cannot have a target' });
+      }
+      const parsed = parseTarget(target, url);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      anchor = parsed.target;
+    }
+
+    // Spam heuristics: suspected spam is held for moderators instead of being published
+    const spam = await spamChecker.check(text, await db.users.findById(req.user.id));
+    if (spam.limited) {
+      res.set('Retry-After', String(spam.retryAfter));
+      return res.status(429).json({ error: spam.error, retryAfter: spam.retryAfter });
     }
 
     // Sanitize and convert markdown to HTML
-    const sanitizedText = DOMPurify.sanitize(text);
-    const htmlText = marked(sanitizedText);
-    const finalText = DOMPurify.sanitize(htmlText);
+    const finalText = renderMarkdown(text);
+    const timestamp = new Date();
 
     const newComment = {
       url,
       text: finalText,
       rawText: text, // Store original markdown text
-      parentId: parentId || null, // Support for replies
+      parentId: parent ? parent.id : null, // Support for replies
+      threadId: parent ? (parent.threadId || parent.id) : null,
+      workspaceId,
       authorId: req.user.id,
       authorName: req.user.username,
-      timestamp: new Date()
+      timestamp,
+      revisionCount: 0,
+      upvotes: 0,
+      downvotes: 0,
+      reactionCounts: {},
+      ...rankFields(0, 0, timestamp)
     };
 
-    // Add to Firestore
-    const docRef = await commentsCollection.add(newComment);
-    const commentId = docRef.id;
-    newComment.id = commentId;
+    if (anchor) {
+      newComment.target = anchor;
+      newComment.quote = getQuote(anchor);
+      newComment.orphaned = false;
+    }
 
-    console.log('New comment added:', newComment);
+    // Held comments stay hidden until a moderator approves them
+    if (spam.held) {
+      Object.assign(newComment, {
+        held: true,
+        heldReasons: spam.reasons,
+        hidden: true,
+        hiddenReason: `Held for review: ${spam.reasons.join(', ')}`,
+        hiddenBy: null,
+        hiddenAt: timestamp
+      });
+    }
 
-    // Check for user mentions and create notifications
-    const mentions = extractMentions(text);
-    for (const mention of mentions) {
-      const mentionedUserSnapshot = await usersCollection
-        .where('username', '==', mention)
-        .get();
-      
-      if (!mentionedUserSnapshot.empty) {
-        const mentionedUser = mentionedUserSnapshot.docs[0];
-        if (mentionedUser.id !== req.user.id) {
-          const notification = {
-            userId: mentionedUser.id,
-            type: 'mention',
-            message: `${req.user.username} mentioned you in a comment`,
-            commentId: commentId,
-            url: url,
-            timestamp: new Date(),
-            read: false
-          };
-          
-          await notificationsCollection.add(notification);
-          
-          // Emit notification to mentioned user
-          io.emit('notification', { userId: mentionedUser.id, notification });
-        }
-      }
+    // Add to storage
+    const { id: commentId } = await db.comments.create(newComment);
+    newComment.id = commentId;
+    await updateSearchIndex(newComment);
+    metrics.commentCreated();
+
+    if (newComment.held) {
+      logger.info('Comment held for review', { commentId, userId: req.user.id, reasons: spam.reasons });
+      return res.status(201).json(newComment);
     }
 
+    logger.info('Comment created', { commentId, userId: req.user.id, url, parentId: newComment.parentId, workspaceId });
+    await commentChanged(db, null, newComment);
+
+    // Mentions, replies and subscriptions (see lib/notifier.js)
+    await notifier.commentCreated(newComment, { parent, mentions: extractMentions(text) });
+    await webhooks.commentEvent('comment.created', newComment);
+
     // Emit real-time update
-    io.emit('newComment', { url, comment: newComment });
+    realtime.toPage(url, 'newComment', { url, comment: newComment }, workspaceId);
 
     res.status(201).json(newComment);
   } catch (error) {
-    console.error('Error creating comment:', error);
+    logger.error('Error creating comment', error);
     res.status(500).json({ error: 'Failed to create comment' });
   }
 });
 
 // POST /api/comments/:id/vote - Vote on a comment
-app.post('/api/comments/:id/vote', authenticateToken, async (req, res) => {
+app.post('/api/comments/:id/vote', authenticateToken, rateLimit('votes'), validate({
+  params: object({ id: ID }),
+  body: object({ voteType: { type: 'string', enum: ['up', 'down', 'remove'] } }, ['voteType'])
+}), async (req, res) => {
   try {
     const { id } = req.params;
-    const { voteType } = req.body; // 'up', 'down', or 'remove'
-    
-    if (!voteType || !['up', 'down', 'remove'].includes(voteType)) {
-      return res.status(400).json({ error: 'Invalid vote type. Must be "up", "down", or "remove"' });
-    }
+    const { voteType } = req.body;
     
     // Check if comment exists
-    const commentDoc = await commentsCollection.doc(id).get();
-    if (!commentDoc.exists) {
+    const comment = await findAccessibleComment(id, req.user);
+    if (!comment) {
       return res.status(404).json({ error: 'Comment not found' });
     }
     
-    // Check if user already voted on this comment
-    const existingVoteSnapshot = await votesCollection
-      .where('commentId', '==', id)
-      .where('userId', '==', req.user.id)
-      .get();
+    if (comment.deleted) {
+      return res.status(410).json({ error: 'Comment has been deleted' });
+    }
     
-    if (voteType === 'remove') {
-      // Remove existing vote
-      if (!existingVoteSnapshot.empty) {
-        await existingVoteSnapshot.docs[0].ref.delete();
-        console.log(`Vote removed from comment ${id}`);
-      }
-    } else {
-      // Add or update vote
-      const voteData = {
-        commentId: id,
-        userId: req.user.id,
-        voteType: voteType,
-        timestamp: new Date()
-      };
-      
-      if (!existingVoteSnapshot.empty) {
-        // Update existing vote
-        await existingVoteSnapshot.docs[0].ref.update({ voteType: voteType });
-        console.log(`Vote updated to ${voteType} for comment ${id}`);
-      } else {
-        // Add new vote
-        await votesCollection.add(voteData);
-        console.log(`Vote ${voteType} added to comment ${id}`);
-      }
+    if (comment.authorId === req.user.id) {
+      return res.status(403).json({ error: 'You cannot vote on your own comment' });
+    }
+    
+    // Record the vote and update the comment's counters in one transaction
+    const votes = await db.votes.castVote(id, req.user.id, voteType);
+    if (!votes) {
+      return res.status(404).json({ error: 'Comment not found' });
     }
     
-    // Get updated vote counts
-    const votes = await getVotesForComment(id);
+    metrics.voted(voteType);
+    logger.info('Comment voted', { commentId: id, userId: req.user.id, voteType, previous: votes.previous || null });
     
     // Emit real-time update
-    io.emit('commentVoted', { commentId: id, upvotes: votes.upvotes, downvotes: votes.downvotes });
+    realtime.toPage(comment.url, 'commentVoted', { commentId: id, upvotes: votes.upvotes, downvotes: votes.downvotes, score: votes.score }, comment.workspaceId);
+    await webhooks.commentVoted(comment, votes);
     
-    res.json({ success: true, upvotes: votes.upvotes, downvotes: votes.downvotes });
+    res.json({ success: true, upvotes: votes.upvotes, downvotes: votes.downvotes, score: votes.score });
     
   } catch (error) {
-    console.error('Error voting on comment:', error);
+    logger.error('Error voting on comment', error);
     res.status(500).json({ error: 'Failed to vote on comment' });
   }
 });
 
 // PUT /api/comments/:id - Edit a comment
-app.put('/api/comments/:id', authenticateToken, async (req, res) => {
+app.put('/api/comments/:id', authenticateToken, rateLimit('comments'), rejectBannedUsers, validate({
+  params: object({ id: ID }),
+  body: object({ text: COMMENT_TEXT }, ['text'])
+}), async (req, res) => {
   try {
     const { id } = req.params;
     const { text } = req.body;
     
-    if (!text) {
-      return res.status(400).json({ error: 'Text is required' });
-    }
-    
-    // Check if comment exists in Firestore
-    const commentDoc = await commentsCollection.doc(id).get();
-    if (!commentDoc.exists) {
+    // Check if comment exists in storage
+    const comment = await findAccessibleComment(id, req.user);
+    if (!comment) {
       return res.status(404).json({ error: 'Comment not found' });
     }
     
-    const comment = { id: commentDoc.id, ...commentDoc.data() };
+    if (comment.deleted) {
+      return res.status(410).json({ error: 'Comment has been deleted' });
+    }
     
     // Check if user owns the comment
     if (comment.authorId !== req.user.id) {
@@ -612,155 +1171,632 @@ app.put('/api/comments/:id', authenticateToken, async (req, res) => {
     }
     
     // Sanitize and convert markdown to HTML
-    const sanitizedText = DOMPurify.sanitize(text);
-    const htmlText = marked(sanitizedText);
-    const finalText = DOMPurify.sanitize(htmlText);
+    const finalText = renderMarkdown(text);
     
-    // Update comment in Firestore
-    await commentsCollection.doc(id).update({
+    const update = {
       text: finalText,
-      rawText: text, // Store original markdown text
-      editedAt: new Date()
-    });
-    
-    const updatedComment = {
-      ...comment,
-      text: finalText,
-      rawText: text,
-      editedAt: new Date()
+      rawText: text // Store original markdown text
     };
     
-    console.log(`Comment ${id} edited by ${req.user.username}`);
+    // Outside the grace period the previous version is kept as a revision
+    const inGracePeriod = !comment.editedAt && Date.now() - new Date(comment.timestamp).getTime() < EDIT_GRACE_PERIOD_MS;
+    if (!inGracePeriod) {
+      const revisionCount = (comment.revisionCount || 0) + 1;
+      await db.revisions.create({
+        commentId: id,
+        revision: revisionCount,
+        rawText: comment.rawText,
+        text: comment.text,
+        createdAt: comment.editedAt || comment.timestamp,
+        editorId: comment.authorId,
+        editorName: comment.authorName,
+        supersededAt: new Date()
+      });
+      update.editedAt = new Date();
+      update.revisionCount = revisionCount;
+    }
+    
+    // Update comment in storage
+    await db.comments.update(id, update);
+    
+    const updatedComment = { ...comment, ...update, revisionCount: update.revisionCount || comment.revisionCount || 0 };
+    await updateSearchIndex(updatedComment);
+    
+    logger.info('Comment edited', { commentId: id, userId: req.user.id });
     
     // Emit real-time update
-    io.emit('commentEdited', { commentId: id, text: finalText, editedAt: updatedComment.editedAt });
+    realtime.toPage(comment.url, 'commentEdited', {
+      commentId: id,
+      text: finalText,
+      editedAt: updatedComment.editedAt || null,
+      revisionCount: updatedComment.revisionCount
+    }, comment.workspaceId);
+    await webhooks.commentEvent('comment.edited', updatedComment);
     
     res.json(updatedComment);
     
   } catch (error) {
-    console.error('Error editing comment:', error);
+    logger.error('Error editing comment', error);
     res.status(500).json({ error: 'Failed to edit comment' });
   }
 });
 
+// Helper function to load every version of a comment, oldest first, the current one last
+async function getRevisionHistory(comment) {
+  const revisions = await db.revisions.listForComment(comment.id);
+  const current = {
+    revision: revisions.length + 1,
+    current: true,
+    rawText: comment.rawText,
+    text: comment.text,
+    createdAt: comment.editedAt || comment.timestamp,
+    editorId: comment.authorId,
+    editorName: comment.authorName
+  };
+  
+  return [
+    ...revisions.map(({ id, commentId, ...revision }) => ({ ...revision, current: false })),
+    current
+  ];
+}
+
+// Helper function to load a comment whose history the viewer may read, or send the error response
+async function findCommentForHistory(req, res) {
+  const comment = await findAccessibleComment(req.params.id, req.user);
+  if (!comment || (comment.hidden && !isModerator(req.user))) {
+    res.status(404).json({ error: 'Comment not found' });
+    return null;
+  }
+  
+  if (comment.deleted) {
+    res.status(410).json({ error: 'Comment has been deleted' });
+    return null;
+  }
+  
+  return comment;
+}
+
+// GET /api/comments/:id/revisions - Edit history of a comment
+app.get('/api/comments/:id/revisions', optionalAuthenticateToken, validate({ params: object({ id: ID }) }), async (req, res) => {
+  try {
+    const comment = await findCommentForHistory(req, res);
+    if (!comment) return;
+    
+    const revisions = await getRevisionHistory(comment);
+    
+    res.json({ commentId: comment.id, revisionCount: revisions.length - 1, revisions });
+  } catch (error) {
+    logger.error('Error fetching revisions', error);
+    res.status(500).json({ error: 'Failed to fetch revisions' });
+  }
+});
+
+// GET /api/comments/:id/revisions/diff?from=1&to=2 - Word diff between two revisions (defaults to previous vs current)
+app.get('/api/comments/:id/revisions/diff', optionalAuthenticateToken, validate({
+  params: object({ id: ID }),
+  query: object({
+    from: { type: 'integer', minimum: 1, description: 'Defaults to the revision before to' },
+    to: { type: 'integer', minimum: 1, description: 'Defaults to the current revision' }
+  })
+}), async (req, res) => {
+  try {
+    const comment = await findCommentForHistory(req, res);
+    if (!comment) return;
+    
+    const revisions = await getRevisionHistory(comment);
+    const latest = revisions.length;
+    const { to = latest, from = Math.max(to - 1, 1) } = req.query;
+    
+    if (from > latest || to > latest) {
+      return res.status(400).json({ error: `from and to must be revision numbers between 1 and ${latest}` });
+    }
+    
+    const before = revisions[from - 1];
+    const after = revisions[to - 1];
+    const changes = diffWords(before.rawText, after.rawText);
+    
+    res.json({
+      commentId: comment.id,
+      from: before,
+      to: after,
+      changes
+    });
+  } catch (error) {
+    logger.error('Error diffing revisions', error);
+    res.status(500).json({ error: 'Failed to diff revisions' });
+  }
+});
+
+// PUT /api/comments/:id/anchor - Report an annotation as orphaned/resolved, or re-anchor it
+app.put('/api/comments/:id/anchor', authenticateToken, validate({
+  params: object({ id: ID }),
+  body: object({
+    orphaned: { type: 'boolean', description: 'Whether the anchor failed to resolve on the client' },
+    target: { ...TARGET_SCHEMA, description: 'Move the annotation to another passage (author only)' }
+  })
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { orphaned, target } = req.body;
+    
+    if (orphaned === undefined && !target) {
+      return res.status(400).json({ error: 'Either orphaned (boolean) or target is required' });
+    }
+    
+    const comment = await findAccessibleComment(id, req.user);
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    
+    if (!comment.target) {
+      return res.status(400).json({ error: 'Comment is not anchored to a passage' });
+    }
+    
+    const update = {};
+    
+    if (target) {
+      // Only the author may move an annotation to a different passage
+      if (comment.authorId !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to re-anchor this comment' });
+      }
+      const parsed = parseTarget(target, comment.url);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      update.target = parsed.target;
+      update.quote = getQuote(parsed.target);
+      update.orphaned = false;
+    } else {
+      // Any signed-in client can report whether the anchor resolved on its copy of the page
+      update.orphaned = orphaned;
+    }
+    
+    await db.comments.update(id, update);
+    
+    const updatedComment = { ...comment, ...update };
+    
+    // Emit real-time update
+    realtime.toPage(comment.url, 'commentAnchorUpdated', { commentId: id, target: updatedComment.target, orphaned: updatedComment.orphaned }, comment.workspaceId);
+    
+    res.json(updatedComment);
+    
+  } catch (error) {
+    logger.error('Error updating comment anchor', error);
+    res.status(500).json({ error: 'Failed to update comment anchor' });
+  }
+});
+
 // DELETE /api/comments/:id - Delete a comment
-app.delete('/api/comments/:id', authenticateToken, async (req, res) => {
+app.delete('/api/comments/:id', authenticateToken, validate({ params: object({ id: ID }) }), async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Check if comment exists in Firestore
-    const commentDoc = await commentsCollection.doc(id).get();
-    if (!commentDoc.exists) {
+    // Check if comment exists in storage
+    const comment = await findAccessibleComment(id, req.user);
+    if (!comment) {
       return res.status(404).json({ error: 'Comment not found' });
     }
     
-    const comment = { id: commentDoc.id, ...commentDoc.data() };
+    if (comment.deleted) {
+      return res.status(410).json({ error: 'Comment has been deleted' });
+    }
     
     // Check if user owns the comment
     if (comment.authorId !== req.user.id) {
       return res.status(403).json({ error: 'Not authorized to delete this comment' });
     }
     
-    // Delete comment from Firestore
-    await commentsCollection.doc(id).delete();
+    // Replies keep their place under a tombstone; otherwise the comment is removed for good
+    const { tombstoned, purgedIds } = await deleteComment(db, comment);
     
-    // Delete all replies to this comment
-    const repliesSnapshot = await commentsCollection
-      .where('parentId', '==', id)
-      .get();
+    logger.info('Comment deleted', { commentId: id, userId: req.user.id, tombstoned });
     
-    const deletePromises = repliesSnapshot.docs.map(doc => doc.ref.delete());
-    await Promise.all(deletePromises);
+    // Emit real-time update
+    realtime.toPage(comment.url, 'commentDeleted', { commentId: id, tombstoned, purgedIds }, comment.workspaceId);
+    await webhooks.commentDeleted(comment, { tombstoned, purgedIds });
+    
+    res.json({ success: true, tombstoned, purgedIds });
+    
+  } catch (error) {
+    logger.error('Error deleting comment', error);
+    res.status(500).json({ error: 'Failed to delete comment' });
+  }
+});
+
+// Web Annotation (JSON-LD) export/import
+
+// GET /api/annotations - Export a page's (?url=) or a user's (?author=username) comments as an AnnotationCollection
+app.get('/api/annotations', optionalAuthenticateToken, validate({
+  query: object({ url: PAGE_URL, author: { type: 'string', minLength: 1, maxLength: MAX_USERNAME_LENGTH, description: 'Username' } })
+}), async (req, res) => {
+  try {
+    const { url, author } = req.query;
     
-    // Delete all votes for this comment
-    const votesSnapshot = await votesCollection
-      .where('commentId', '==', id)
-      .get();
+    if (!url && !author) {
+      return res.status(400).json({ error: 'Either url or author parameter is required' });
+    }
     
-    const voteDeletePromises = votesSnapshot.docs.map(doc => doc.ref.delete());
-    await Promise.all(voteDeletePromises);
+    const baseUrl = getBaseUrl(req);
+    let comments;
+    let label;
     
-    console.log(`Comment ${id} deleted by ${req.user.username}`);
+    if (url) {
+      comments = await db.comments.findByUrl(canonicalizeUrl(url));
+      label = `Annotations on ${canonicalizeUrl(url)}`;
+    } else {
+      const user = await db.users.findByUsername(author);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (!canViewActivity(user, req.user)) {
+        return res.status(403).json({ error: 'This user has hidden their activity' });
+      }
+      comments = await db.comments.findByAuthor(user.id);
+      label = `Annotations by ${user.username}`;
+    }
     
-    // Emit real-time update
-    io.emit('commentDeleted', { commentId: id });
+    // Hidden and workspace comments are never exported; oldest first so parents always precede their replies
+    comments = comments.filter(comment => !comment.hidden && !comment.deleted && !comment.workspaceId).reverse();
     
-    res.json({ success: true });
+    const collection = webAnnotation.toAnnotationCollection(comments, {
+      id: `${baseUrl}${req.originalUrl}`,
+      label,
+      baseUrl
+    });
     
+    res.type(webAnnotation.CONTENT_TYPE).send(JSON.stringify(collection));
   } catch (error) {
-    console.error('Error deleting comment:', error);
-    res.status(500).json({ error: 'Failed to delete comment' });
+    logger.error('Error exporting annotations', error);
+    res.status(500).json({ error: 'Failed to export annotations' });
   }
 });
 
-// GET /api/notifications - Get user notifications
-app.get('/api/notifications', authenticateToken, async (req, res) => {
+// GET /api/annotations/:id - A single comment as a Web Annotation
+app.get('/api/annotations/:id', optionalAuthenticateToken, validate({ params: object({ id: ID }) }), async (req, res) => {
   try {
-    const notificationsSnapshot = await notificationsCollection
-      .where('userId', '==', req.user.id)
-      .orderBy('timestamp', 'desc')
-      .limit(50)
-      .get();
-    
-    const userNotifications = notificationsSnapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    const comment = await findAccessibleComment(req.params.id, req.user);
+    if (!comment || comment.hidden || comment.deleted) {
+      return res.status(404).json({ error: 'Annotation not found' });
+    }
     
-    res.json(userNotifications);
+    const annotation = webAnnotation.toAnnotation(comment, getBaseUrl(req));
+    res.type(webAnnotation.CONTENT_TYPE).send(JSON.stringify(annotation));
   } catch (error) {
-    console.error('Error fetching notifications:', error);
-    res.status(500).json({ error: 'Failed to fetch notifications' });
+    logger.error('Error fetching annotation', error);
+    res.status(500).json({ error: 'Failed to fetch annotation' });
   }
 });
 
-// PUT /api/notifications/:id/read - Mark notification as read
-app.put('/api/notifications/:id/read', authenticateToken, async (req, res) => {
+// POST /api/annotations/import - Create comments from Web Annotations, keeping threads and timestamps
+app.post('/api/annotations/import', authenticateToken, rateLimit('comments'), rejectBannedUsers, validate({
+  body: {
+    description: 'an AnnotationCollection, AnnotationPage, Annotation or array of annotations',
+    anyOf: [{ type: 'object' }, { type: 'array', items: { type: 'object' } }]
+  }
+}), async (req, res) => {
   try {
-    const { id } = req.params;
+    const items = webAnnotation.extractAnnotations(req.body);
+    
+    if (!items || !items.length) {
+      return res.status(400).json({ error: 'Expected an AnnotationCollection, AnnotationPage, Annotation or array of annotations' });
+    }
+    
+    if (items.length > webAnnotation.MAX_IMPORT_ANNOTATIONS) {
+      return res.status(400).json({ error: `At most ${webAnnotation.MAX_IMPORT_ANNOTATIONS} annotations can be imported at once` });
+    }
     
-    const notificationDoc = await notificationsCollection.doc(id).get();
-    if (!notificationDoc.exists) {
-      return res.status(404).json({ error: 'Notification not found' });
+    // Validate everything before writing anything
+    const errors = [];
+    const annotations = [];
+    items.forEach((item, index) => {
+      const { annotation, error } = webAnnotation.parseAnnotation(item);
+      if (error) errors.push({ index, error });
+      else annotations.push({ index, ...annotation });
+    });
+    
+    const batchIds = new Map(annotations.filter(a => a.id).map(a => [a.id, a]));
+    const localPrefix = webAnnotation.annotationIri(getBaseUrl(req), '');
+    
+    for (const annotation of annotations) {
+      // Targeting another annotation in the batch makes this a reply even without motivation "replying"
+      if (!annotation.parentRef && batchIds.has(annotation.url)) {
+        annotation.parentRef = annotation.url;
+        annotation.url = null;
+        annotation.target = null;
+      }
+      
+      if (!annotation.parentRef || batchIds.has(annotation.parentRef)) continue;
+      
+      // Replies to annotations already stored here
+      const existingParent = annotation.parentRef.startsWith(localPrefix)
+        ? await findAccessibleComment(decodeURIComponent(annotation.parentRef.slice(localPrefix.length)), req.user)
+        : null;
+      
+      if (existingParent) {
+        annotation.parentComment = existingParent;
+      } else {
+        errors.push({ index: annotation.index, error: `Reply target ${annotation.parentRef} was not found` });
+      }
     }
     
-    const notification = { id: notificationDoc.id, ...notificationDoc.data() };
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid annotations', details: errors });
+    }
     
-    // Check if user owns the notification
-    if (notification.userId !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized to mark this notification as read' });
+    // Create parents before replies; whatever is left over forms a cycle
+    const created = new Map(); // original id -> stored comment
+    const author = await db.users.findById(req.user.id);
+    const importedIds = () => Object.fromEntries(Array.from(created, ([originalId, comment]) => [originalId, comment.id]));
+    let held = 0;
+    let pending = annotations;
+    
+    while (pending.length) {
+      const ready = pending.filter(a => !a.parentRef || a.parentComment || created.has(a.parentRef));
+      if (!ready.length) {
+        return res.status(400).json({
+          error: 'Invalid annotations',
+          details: pending.map(a => ({ index: a.index, error: 'Reply chain forms a cycle' })),
+          imported: created.size
+        });
+      }
+      
+      for (const annotation of ready) {
+        const parent = annotation.parentComment || created.get(annotation.parentRef) || null;
+        const timestamp = annotation.created || new Date();
+        
+        // The same spam heuristics and new-account limit as POST /api/comments. Past the
+        // limit the rest of the batch is refused; what was already imported is reported.
+        const spam = await spamChecker.check(annotation.rawText, author);
+        if (spam.limited) {
+          res.set('Retry-After', String(spam.retryAfter));
+          return res.status(429).json({ error: spam.error, retryAfter: spam.retryAfter, imported: created.size, ids: importedIds() });
+        }
+        
+        const newComment = {
+          url: parent ? parent.url : canonicalizeUrl(annotation.url),
+          text: renderMarkdown(annotation.rawText),
+          rawText: annotation.rawText,
+          parentId: parent ? parent.id : null,
+          threadId: parent ? (parent.threadId || parent.id) : null,
+          workspaceId: parent ? (parent.workspaceId || null) : null,
+          authorId: req.user.id,
+          authorName: req.user.username,
+          timestamp,
+          revisionCount: 0,
+          upvotes: 0,
+          downvotes: 0,
+          reactionCounts: {},
+          ...rankFields(0, 0, timestamp),
+          importedFrom: { id: annotation.id, creator: annotation.creatorName }
+        };
+        
+        if (annotation.modified) {
+          newComment.editedAt = annotation.modified;
+        }
+        
+        if (annotation.target) {
+          newComment.target = { ...annotation.target, source: newComment.url };
+          newComment.quote = getQuote(annotation.target);
+          newComment.orphaned = false;
+        }
+        
+        // Held comments stay hidden until a moderator approves them
+        if (spam.held) {
+          Object.assign(newComment, {
+            held: true,
+            heldReasons: spam.reasons,
+            hidden: true,
+            hiddenReason: `Held for review: ${spam.reasons.join(', ')}`,
+            hiddenBy: null,
+            hiddenAt: new Date()
+          });
+        }
+        
+        const { id } = await db.comments.create(newComment);
+        const stored = { id, ...newComment };
+        await updateSearchIndex(stored);
+        metrics.commentCreated('import');
+        created.set(annotation.id || `#${annotation.index}`, stored);
+        
+        if (stored.held) {
+          held++;
+          logger.info('Comment held for review', { commentId: id, userId: req.user.id, reasons: spam.reasons });
+          continue;
+        }
+        
+        await commentChanged(db, null, stored);
+        await webhooks.commentEvent('comment.created', stored);
+      }
+      
+      pending = pending.filter(a => !ready.includes(a));
     }
     
-    await notificationsCollection.doc(id).update({ read: true });
+    logger.info('Annotations imported', { userId: req.user.id, imported: created.size, held });
+    
+    res.status(201).json({ imported: created.size, held, ids: importedIds() });
     
-    res.json({ success: true });
   } catch (error) {
-    console.error('Error marking notification as read:', error);
-    res.status(500).json({ error: 'Failed to mark notification as read' });
+    logger.error('Error importing annotations', error);
+    res.status(500).json({ error: 'Failed to import annotations' });
   }
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'OK', message: 'Server is running' });
+// POST /api/presence - Current viewer counts for a batch of pages
+app.post('/api/presence', validate({
+  body: object({ urls: { type: 'array', minItems: 1, maxItems: MAX_PRESENCE_URLS, items: PAGE_URL } }, ['urls'])
+}), (req, res) => {
+  const { urls } = req.body;
+  
+  const presence = {};
+  for (const url of urls) {
+    const { viewers, users } = realtime.getPresence(url);
+    presence[url] = { url: canonicalizeUrl(url), viewers, users };
+  }
+  
+  res.json({ presence });
+});
+
+// Moderation: reports, hidden comments, bans, roles and the audit log
+app.use(createModerationRouter({ db, realtime, notifier, webhooks, authenticateToken, rateLimit }));
+
+// Full-text search over comments
+app.use(createSearchRouter({ db, optionalAuthenticateToken, rateLimit }));
+
+// Public profiles and activity feeds
+app.use(createUserRouter({ db, optionalAuthenticateToken }));
+
+// Notifications, subscriptions and muted threads
+app.use(createNotificationRouter({ db, authenticateToken }));
+
+// Emoji reactions
+app.use(createReactionRouter({ db, realtime, authenticateToken, optionalAuthenticateToken, rateLimit }));
+
+// Token refresh, logout and signed-in devices
+app.use(createSessionRouter({ db, sessions, realtime, authenticateToken, optionalAuthenticateToken }));
+
+// Private team workspaces, their members and invites
+app.use(createWorkspaceRouter({ db, realtime, authenticateToken, appUrl: APP_URL }));
+
+// Outgoing webhooks and their delivery logs
+app.use(createWebhookRouter({ db, webhooks, authenticateToken, allowPrivateUrls: WEBHOOK_ALLOW_PRIVATE_URLS }));
+
+// GET /api/openapi.json - OpenAPI 3 description of every /api route
+app.get('/api/openapi.json', (req, res) => {
+  res.json(buildOpenApiDocument(app, {
+    title: 'Web Annotator API',
+    version,
+    serverUrl: getBaseUrl(req),
+    requiredAuth: authenticateToken,
+    optionalAuth: optionalAuthenticateToken
+  }));
+});
+
+// Malformed and oversized JSON bodies get the same error envelope as validation failures
+app.use(handleBodyErrors);
+
+// Anything else that reaches Express is logged like every other error
+app.use((error, req, res, next) => {
+  logger.error('Unhandled error', error);
+  if (res.headersSent) return next(error);
+  res.status(500).json({ error: 'Internal server error' });
 });
 
-// WebSocket connection handling
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+// Set once SIGTERM arrives; readiness fails from then on so no new traffic is routed here
+let shuttingDown = false;
+
+// Helper function to check the datastore answers within READY_CHECK_TIMEOUT_MS
+async function checkDatastore() {
+  const started = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      store.ping(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('Timed out')), READY_CHECK_TIMEOUT_MS);
+      })
+    ]);
+    return { status: 'ok', latencyMs: Date.now() - started };
+  } catch (error) {
+    logger.warn('Datastore readiness check failed', error);
+    return { status: 'error', error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// GET /health/live - The process is up and serving requests
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Helper function to answer readiness probes: the datastore is reachable and the server isn't shutting down
+async function sendReadiness(req, res) {
+  try {
+    if (shuttingDown) {
+      return res.status(503).json({ status: 'shutting_down' });
+    }
+    
+    const datastore = await checkDatastore();
+    const ready = datastore.status === 'ok';
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'unavailable', checks: { datastore } });
+  } catch (error) {
+    logger.error('Error checking readiness', error);
+    res.status(503).json({ status: 'unavailable' });
+  }
+}
+
+// GET /health/ready - Ready for traffic
+app.get('/health/ready', sendReadiness);
+
+// GET /health - The same as /health/ready, for existing deploy configs
+app.get('/health', sendReadiness);
+
+// GET /metrics - Prometheus metrics (bearer METRICS_TOKEN when set)
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN) {
+    const given = Buffer.from((req.headers['authorization'] || '').replace(/^Bearer /, ''));
+    const expected = Buffer.from(METRICS_TOKEN);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).json({ error: 'Metrics token required' });
+    }
+  }
   
-  socket.on('joinRoom', (url) => {
-    socket.join(url);
-    console.log(`User ${socket.id} joined room: ${url}`);
+  res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
+let digestTimer = null;
+
+server.listen(PORT, () => {
+  logger.info('Server started', {
+    port: Number(PORT),
+    storageBackend: store.backend,
+    emailTransport: mailer.transport,
+    version
   });
   
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
+  mailer.start();
+  webhooks.start();
+  
+  // Daily and weekly digests of unread notifications
+  digestTimer = setInterval(() => {
+    sendDigests({ db, mailer, appUrl: APP_URL })
+      .catch(error => logger.error('Error sending digests', error));
+  }, DIGEST_CHECK_INTERVAL_MS);
+  digestTimer.unref();
 });
 
-server.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log('Health check: http://localhost:3000/health');
-  console.log('WebSocket server ready');
-}); 
\ No newline at end of file
+// Graceful shutdown: stop accepting connections, let in-flight requests finish, close
+// sockets (clients reconnect to another instance), then stop the background workers and
+// the store. Anything still open after SHUTDOWN_TIMEOUT_MS is cut off.
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info('Shutting down', { signal });
+  
+  const deadline = setTimeout(() => {
+    logger.error('Shutdown timed out; closing remaining connections');
+    server.closeAllConnections();
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  deadline.unref();
+  
+  try {
+    clearInterval(digestTimer);
+    // Closes every socket, then the HTTP server, which waits for in-flight requests
+    await new Promise((resolve) => {
+      io.close(() => resolve());
+      server.closeIdleConnections();
+    });
+    await Promise.all([mailer.stop(), webhooks.stop()]);
+    limitStore.close();
+    await store.close();
+    logger.info('Shutdown complete');
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error during shutdown', error);
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Mirrors the subset of Firestore semantics the repositories rely on, backed by
+// a JSON file in the legacy data.json layout ({ collection: [{ id, ...fields }] }).
+// With no filePath everything stays in memory, which is what tests and CI use.
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+const DOCUMENT_ID = '__name__';
+
+class Increment {
+  constructor(by) {
+    this.by = by;
+  }
+}
+
+function generateId() {
+  return crypto.randomBytes(15).toString('base64url');
+}
+
+// JSON has no date type, so ISO strings written by a previous run become Dates again
+function reviveDates(value) {
+  if (typeof value === 'string' && ISO_DATE.test(value)) return new Date(value);
+  if (Array.isArray(value)) return value.map(reviveDates);
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, nested] of Object.entries(value)) {
+      result[key] = reviveDates(nested);
+    }
+    return result;
+  }
+  return value;
+}
+
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function compareValues(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  if (left === null || left === undefined) return -1;
+  if (right === null || right === undefined) return 1;
+  return left < right ? -1 : 1;
+}
+
+function matches(data, [field, op, value]) {
+  const actual = data[field];
+  // Like Firestore, a filter never matches a document that lacks the field
+  if (actual === undefined) return false;
+
+  switch (op) {
+    case '==': return compareValues(actual, value) === 0;
+    case '!=': return compareValues(actual, value) !== 0;
+    case '<': return compareValues(actual, value) < 0;
+    case '<=': return compareValues(actual, value) <= 0;
+    case '>': return compareValues(actual, value) > 0;
+    case '>=': return compareValues(actual, value) >= 0;
+    case 'in': return value.some(candidate => compareValues(actual, candidate) === 0);
+    case 'not-in': return !value.some(candidate => compareValues(actual, candidate) === 0);
+    case 'array-contains':
+      return Array.isArray(actual) && actual.some(item => compareValues(item, value) === 0);
+    case 'array-contains-any':
+      return Array.isArray(actual) && actual.some(item => value.some(candidate => compareValues(item, candidate) === 0));
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+}
+
+function fieldValue(doc, field) {
+  return field === DOCUMENT_ID ? doc.id : doc[field];
+}
+
+function runQuery(docs, { where = [], orderBy = [], limit, startAfter } = {}) {
+  let results = docs.filter(doc => where.every(clause => matches(doc, clause)));
+
+  if (orderBy.length) {
+    results = results.filter(doc => orderBy.every(([field]) => fieldValue(doc, field) !== undefined));
+    const compareDocs = (a, b) => {
+      for (const [field, direction = 'asc'] of orderBy) {
+        const result = compareValues(fieldValue(a, field), fieldValue(b, field));
+        if (result !== 0) return direction === 'desc' ? -result : result;
+      }
+      return 0;
+    };
+    results.sort(compareDocs);
+
+    if (startAfter) {
+      const cursor = {};
+      orderBy.forEach(([field], index) => {
+        cursor[field === DOCUMENT_ID ? 'id' : field] = startAfter[index];
+      });
+      results = results.filter(doc => compareDocs(doc, cursor) > 0);
+    }
+  }
+
+  if (limit) {
+    results = results.slice(0, limit);
+  }
+  return results;
+}
+
+function applyPatch(existing, patch) {
+  const result = { ...existing };
+  for (const [field, value] of Object.entries(patch)) {
+    if (value instanceof Increment) {
+      result[field] = (typeof result[field] === 'number' ? result[field] : 0) + value.by;
+    } else {
+      result[field] = value;
+    }
+  }
+  return result;
+}
+
+function createFileStore({ filePath = null } = {}) {
+  const collections = new Map();
+
+  if (filePath && fs.existsSync(filePath)) {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const [name, docs] of Object.entries(raw)) {
+      if (!Array.isArray(docs)) continue;
+      const byId = new Map();
+      for (const { id, ...data } of docs) {
+        byId.set(String(id), reviveDates(data));
+      }
+      collections.set(name, byId);
+    }
+  }
+
+  function docsOf(name) {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  }
+
+  function snapshot(name) {
+    return Array.from(docsOf(name), ([id, data]) => ({ id, ...structuredClone(data) }));
+  }
+
+  // Writes are coalesced so a burst of changes results in a single rewrite of the file
+  let saving = null;
+  let dirty = false;
+
+  async function writeFile() {
+    const output = {};
+    for (const name of collections.keys()) {
+      output[name] = snapshot(name);
+    }
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tmpPath, JSON.stringify(output, null, 2));
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  function persist() {
+    if (!filePath) return Promise.resolve();
+    dirty = true;
+    if (!saving) {
+      saving = (async () => {
+        try {
+          while (dirty) {
+            dirty = false;
+            await writeFile();
+          }
+        } finally {
+          saving = null;
+        }
+      })();
+    }
+    return saving;
+  }
+
+  function writeDoc(name, id, data) {
+    docsOf(name).set(id, structuredClone(applyPatch({}, data)));
+  }
+
+  function updateDoc(name, id, patch) {
+    const existing = docsOf(name).get(id);
+    if (!existing) {
+      throw new Error(`No document to update: ${name}/${id}`);
+    }
+    docsOf(name).set(id, structuredClone(applyPatch(existing, patch)));
+  }
+
+  function collection(name) {
+    return {
+      async get(id) {
+        const data = docsOf(name).get(id);
+        return data ? { id, ...structuredClone(data) } : null;
+      },
+
+      async add(data) {
+        const id = generateId();
+        writeDoc(name, id, data);
+        await persist();
+        return { id, ...data };
+      },
+
+      async set(id, data) {
+        writeDoc(name, id, data);
+        await persist();
+        return { id, ...data };
+      },
+
+      async update(id, patch) {
+        updateDoc(name, id, patch);
+        await persist();
+      },
+
+      async delete(id) {
+        docsOf(name).delete(id);
+        await persist();
+      },
+
+      async find(query) {
+        return runQuery(snapshot(name), query);
+      },
+
+      async count(query) {
+        return runQuery(snapshot(name), query).length;
+      }
+    };
+  }
+
+  // Transactions are serialized and their writes buffered until the callback resolves
+  let lock = Promise.resolve();
+
+  function runTransaction(fn) {
+    const run = lock.then(async () => {
+      const writes = [];
+      const tx = {
+        get: (name, id) => collection(name).get(id),
+        find: (name, query) => collection(name).find(query),
+        add(name, data) {
+          const id = generateId();
+          writes.push(() => writeDoc(name, id, data));
+          return id;
+        },
+        set(name, id, data) {
+          writes.push(() => writeDoc(name, id, data));
+        },
+        update(name, id, patch) {
+          writes.push(() => updateDoc(name, id, patch));
+        },
+        delete(name, id) {
+          writes.push(() => docsOf(name).delete(id));
+        }
+      };
+
+      const result = await fn(tx);
+      writes.forEach(write => write());
+      await persist();
+      return result;
+    });
+    lock = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    backend: filePath ? 'file' : 'memory',
+    collection,
+    runTransaction,
+    increment: (n) => new Increment(n),
+    ping: () => Promise.resolve(),
+    close: () => (saving || Promise.resolve())
+  };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,128 @@
+const { Firestore, FieldValue, FieldPath, Timestamp } = require('@google-cloud/firestore');
+
+const DOCUMENT_ID = '__name__';
+
+// Firestore returns Timestamp objects; the rest of the app works with plain Dates
+function fromFirestore(value) {
+  if (value instanceof Timestamp) return value.toDate();
+  if (Array.isArray(value)) return value.map(fromFirestore);
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    const result = {};
+    for (const [key, nested] of Object.entries(value)) {
+      result[key] = fromFirestore(nested);
+    }
+    return result;
+  }
+  return value;
+}
+
+function toDoc(snapshot) {
+  if (!snapshot.exists) return null;
+  return { id: snapshot.id, ...fromFirestore(snapshot.data()) };
+}
+
+function buildQuery(collectionRef, { where = [], orderBy = [], limit, startAfter } = {}) {
+  let query = collectionRef;
+  for (const [field, op, value] of where) {
+    query = query.where(field, op, value);
+  }
+  for (const [field, direction = 'asc'] of orderBy) {
+    query = query.orderBy(field === DOCUMENT_ID ? FieldPath.documentId() : field, direction);
+  }
+  if (startAfter) {
+    query = query.startAfter(...startAfter);
+  }
+  if (limit) {
+    query = query.limit(limit);
+  }
+  return query;
+}
+
+function createFirestoreStore({ projectId }) {
+  const firestore = new Firestore({
+    projectId,
+    // In production, credentials will be loaded from GOOGLE_APPLICATION_CREDENTIALS
+  });
+
+  function collection(name) {
+    const collectionRef = firestore.collection(name);
+
+    return {
+      async get(id) {
+        return toDoc(await collectionRef.doc(id).get());
+      },
+
+      async add(data) {
+        const docRef = await collectionRef.add(data);
+        return { id: docRef.id, ...data };
+      },
+
+      async set(id, data) {
+        await collectionRef.doc(id).set(data);
+        return { id, ...data };
+      },
+
+      async update(id, patch) {
+        await collectionRef.doc(id).update(patch);
+      },
+
+      async delete(id) {
+        await collectionRef.doc(id).delete();
+      },
+
+      async find(query) {
+        const snapshot = await buildQuery(collectionRef, query).get();
+        return snapshot.docs.map(toDoc);
+      },
+
+      async count(query) {
+        const snapshot = await buildQuery(collectionRef, query).count().get();
+        return snapshot.data().count;
+      }
+    };
+  }
+
+  // Firestore requires every read in a transaction to happen before the first write
+  function runTransaction(fn) {
+    return firestore.runTransaction(async (transaction) => {
+      const tx = {
+        async get(name, id) {
+          return toDoc(await transaction.get(firestore.collection(name).doc(id)));
+        },
+        async find(name, query) {
+          const snapshot = await transaction.get(buildQuery(firestore.collection(name), query));
+          return snapshot.docs.map(toDoc);
+        },
+        add(name, data) {
+          const docRef = firestore.collection(name).doc();
+          transaction.create(docRef, data);
+          return docRef.id;
+        },
+        set(name, id, data) {
+          transaction.set(firestore.collection(name).doc(id), data);
+        },
+        update(name, id, patch) {
+          transaction.update(firestore.collection(name).doc(id), patch);
+        },
+        delete(name, id) {
+          transaction.delete(firestore.collection(name).doc(id));
+        }
+      };
+      return fn(tx);
+    });
+  }
+
+  return {
+    backend: 'firestore',
+    collection,
+    runTransaction,
+    increment: (n) => FieldValue.increment(n),
+    // A single document read, so readiness checks fail when Firestore can't be reached
+    ping: async () => {
+      await firestore.doc('health/ping').get();
+    },
+    close: () => firestore.terminate()
+  };
+}
+
+module.exports = { createFirestoreStore };
@@ -0,0 +1,40 @@
+const path = require('path');
+
+// Storage backends share one small document-store interface:
+//   store.collection(name) -> { get, add, set, update, delete, find, count }
+//   store.runTransaction(async (tx) => ...) with tx.get/find/add/set/update/delete
+//   store.increment(n) -> sentinel for atomic counter updates
+//   store.ping() -> resolves once the backend answers (readiness checks); store.close()
+// Queries are plain objects: { where: [[field, op, value]], orderBy: [[field, 'asc'|'desc']], limit, startAfter }
+// where startAfter lists one value per orderBy field. Order by DOCUMENT_ID to break ties by document id.
+//
+// STORAGE_BACKEND selects the implementation:
+//   firestore (default) - Google Cloud Firestore
+//   file                - JSON file at DATA_FILE (defaults to ./data.json)
+//   memory              - in-process only, nothing is written to disk
+
+const BACKENDS = ['firestore', 'file', 'memory'];
+const DOCUMENT_ID = '__name__';
+
+function createStore(env = process.env) {
+  const backend = env.STORAGE_BACKEND || 'firestore';
+
+  switch (backend) {
+    case 'firestore': {
+      const { createFirestoreStore } = require('./firestore');
+      return createFirestoreStore({ projectId: env.GOOGLE_CLOUD_PROJECT_ID || 'your-project-id' });
+    }
+    case 'file': {
+      const { createFileStore } = require('./file');
+      return createFileStore({ filePath: path.resolve(env.DATA_FILE || path.join(__dirname, '..', 'data.json')) });
+    }
+    case 'memory': {
+      const { createFileStore } = require('./file');
+      return createFileStore();
+    }
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}". Expected one of: ${BACKENDS.join(', ')}`);
+  }
+}
+
+module.exports = { createStore, BACKENDS, DOCUMENT_ID };